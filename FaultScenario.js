@@ -0,0 +1,331 @@
+/**
+ * FaultScenario Class - Scripted network faults
+ * 
+ * Random loss rarely hits the edge case you want to show or test, so a
+ * scenario names the exact packets to damage. A Pipe given a scenario
+ * applies its rules on top of the random impairments, the same way in
+ * the browser simulator and in Sender.js / Receiver.js.
+ * 
+ * A scenario is written one rule per line:
+ * 
+ *   drop data #3                  third data packet is lost
+ *   corrupt ack #2                second ACK arrives with bit errors
+ *   delay ack seq 1 by 3000 ms    first ACK for seq 1 arrives 3 s late
+ *   duplicate data #5             fifth data packet is delivered twice
+ *   drop every data seq 0         every data packet with seq 0 is lost
+ * 
+ * or as JSON: { "name", "description", "rules": [{ "action", "kind",
+ * "nth", "every", "seqno", "ms" }] }. Packets are counted per rule as
+ * they enter the Pipe, retransmissions included, so "#3" is the third
+ * matching transmission. Without "#n" or "every" a rule fires once, on
+ * the first match. Lines starting with "//" are comments.
+ * 
+ * @author Zshah2
+ * @version 1.0
+ */
+
+// What a rule can do to a packet
+const SCENARIO_ACTIONS = ['drop', 'corrupt', 'delay', 'duplicate'];
+
+// Packet kinds a rule can match: Packet.getType() in lower case, or any packet
+const SCENARIO_KINDS = ['data', 'ack', 'nak', 'syn', 'syn-ack', 'fin', 'fin-ack', 'rst', 'any'];
+
+// <action> [every] <kind> [#n] [seq s] [by ms ms]
+const SCENARIO_RULE_PATTERN = /^(\w+)\s+(every\s+)?([\w-]+)(?:\s+#(\d+))?(?:\s+seq\s+(\d+))?(?:\s+by\s+(\d+)\s*ms)?$/i;
+
+// Built-in scenarios for the classic Stop-and-Wait edge cases
+const SCENARIO_LIBRARY = {
+    'lost-data': {
+        name: 'Lost data packet',
+        description: 'The first data packet is lost. The sender times out and resends it.',
+        script: 'drop data #1'
+    },
+    'lost-ack': {
+        name: 'Lost ACK',
+        description: 'The first ACK is lost. The sender times out and resends, the receiver discards the duplicate and ACKs it again.',
+        script: 'drop ack #1'
+    },
+    'corrupted-data': {
+        name: 'Corrupted data packet',
+        description: 'The first data packet arrives corrupted. The receiver answers with a NAK and the sender resends at once.',
+        script: 'corrupt data #1'
+    },
+    'corrupted-ack': {
+        name: 'Corrupted ACK',
+        description: 'The first ACK arrives corrupted. The sender ignores it and resends when its timer expires, and the receiver treats the copy as a duplicate.',
+        script: 'corrupt ack #1'
+    },
+    'premature-timeout': {
+        name: 'Premature timeout',
+        description: 'The first ACK is held back 2.5 s, longer than the default 2 s timeout. The sender resends too early and moves on with the ACK for the copy. The late ACK is then a duplicate and is ignored.',
+        script: 'delay ack #1 by 2500 ms'
+    },
+    'duplicate-data': {
+        name: 'Duplicated data packet',
+        description: 'The second data packet is delivered twice. The receiver discards the copy and ACKs it again.',
+        script: 'duplicate data #2'
+    },
+    'repeated-loss': {
+        name: 'Lost retransmission',
+        description: 'The first data packet and its retransmission are both lost, so it takes two timeouts to get through.',
+        script: 'drop data #1\ndrop data #2'
+    },
+    'give-up': {
+        name: 'Dead link',
+        description: 'Every data packet is lost. The sender gives up after its maximum number of attempts.',
+        script: 'drop every data'
+    }
+};
+
+class FaultScenario {
+    /**
+     * Constructor - Validate a scenario description
+     * 
+     * @param {Object} definition - Scenario as JSON
+     * @param {string} definition.name - Name shown in logs (default: 'Custom scenario')
+     * @param {string} definition.description - What the scenario demonstrates (optional)
+     * @param {Object[]} definition.rules - { action, kind, nth, every, seqno, ms }
+     * 
+     * @throws {Error} If a rule is invalid
+     */
+    constructor(definition = {}) {
+        if (!Array.isArray(definition.rules)) {
+            throw new Error('Scenario needs a "rules" array');
+        }
+
+        this.name = definition.name || 'Custom scenario';
+        this.description = definition.description || '';
+        this.rules = definition.rules.map((rule, index) => FaultScenario.validateRule(rule, `Rule ${index + 1}`));
+        this.counts = this.rules.map(() => 0);
+
+        // Called with (packet, rule descriptions) whenever rules fire
+        this.onFault = null;
+    }
+
+    /**
+     * Parse a scenario written as JSON or as one rule per line
+     * 
+     * @static
+     * @param {string} text - Scenario text
+     * @param {string} name - Name for a line-based scenario (default: 'Custom scenario')
+     * @returns {FaultScenario} The scenario
+     * @throws {Error} If the text is not valid JSON or a line is not a valid rule
+     */
+    static parse(text, name = 'Custom scenario') {
+        const source = text.trim();
+
+        if (source.startsWith('{')) {
+            let definition;
+            try {
+                definition = JSON.parse(source);
+            } catch (e) {
+                throw new Error(`Scenario is not valid JSON: ${e.message}`);
+            }
+            return new FaultScenario(definition);
+        }
+
+        const rules = [];
+        source.split('\n').forEach((line, index) => {
+            const rule = line.trim();
+            if (rule === '' || rule.startsWith('//')) return;
+
+            const match = rule.match(SCENARIO_RULE_PATTERN);
+            if (!match) {
+                throw new Error(`Scenario line ${index + 1}: "${rule}" is not "<action> [every] <kind> [#n] [seq s] [by ms ms]"`);
+            }
+
+            const [, action, every, kind, nth, seqno, ms] = match;
+            rules.push(FaultScenario.validateRule({
+                action: action.toLowerCase(),
+                kind: kind.toLowerCase(),
+                every: every !== undefined,
+                nth: nth === undefined ? undefined : Number(nth),
+                seqno: seqno === undefined ? undefined : Number(seqno),
+                ms: ms === undefined ? undefined : Number(ms)
+            }, `Scenario line ${index + 1}`));
+        });
+
+        return new FaultScenario({ name, rules });
+    }
+
+    /**
+     * Create one of the built-in scenarios
+     * 
+     * @static
+     * @param {string} id - Key of SCENARIO_LIBRARY, e.g. 'lost-ack'
+     * @returns {FaultScenario} The scenario
+     * @throws {Error} If there is no such scenario
+     */
+    static builtIn(id) {
+        const entry = SCENARIO_LIBRARY[id];
+        if (!entry) {
+            throw new Error(`Unknown scenario: ${id} (built-in: ${Object.keys(SCENARIO_LIBRARY).join(', ')})`);
+        }
+
+        const scenario = FaultScenario.parse(entry.script, entry.name);
+        scenario.description = entry.description;
+        return scenario;
+    }
+
+    /**
+     * Load a scenario given by name or file (Node.js only for files)
+     * 
+     * @static
+     * @param {string|FaultScenario} source - Built-in id, path to a scenario file, or a scenario
+     * @returns {FaultScenario} The scenario
+     * @throws {Error} If the file cannot be read or parsed
+     */
+    static load(source) {
+        if (source instanceof FaultScenario) {
+            return source;
+        }
+        if (SCENARIO_LIBRARY[source]) {
+            return FaultScenario.builtIn(source);
+        }
+
+        const fs = require('fs');
+        const path = require('path');
+        return FaultScenario.parse(fs.readFileSync(source, 'utf8'), path.basename(source));
+    }
+
+    /**
+     * Check one rule and fill in its defaults
+     * 
+     * @static
+     * @param {Object} rule - { action, kind, nth, every, seqno, ms }
+     * @param {string} where - Location for error messages, e.g. "Scenario line 2"
+     * @returns {Object} Normalized rule
+     * @throws {Error} If the rule is invalid
+     */
+    static validateRule(rule, where) {
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const nth = rule.nth ?? null;
+        const seqno = rule.seqno ?? null;
+        const ms = rule.ms ?? null;
+
+        if (!SCENARIO_ACTIONS.includes(rule.action)) {
+            throw new Error(`${where}: unknown action "${rule.action}" (expected ${SCENARIO_ACTIONS.join(', ')})`);
+        }
+        if (!SCENARIO_KINDS.includes(rule.kind)) {
+            throw new Error(`${where}: unknown packet kind "${rule.kind}" (expected ${SCENARIO_KINDS.join(', ')})`);
+        }
+        if (nth !== null && (!isCount(nth) || nth === 0)) {
+            throw new Error(`${where}: packet number must be 1 or more`);
+        }
+        if (rule.every && nth !== null) {
+            throw new Error(`${where}: use either "every" or a packet number, not both`);
+        }
+        if (seqno !== null && !isCount(seqno)) {
+            throw new Error(`${where}: sequence number must be a non-negative integer`);
+        }
+        if (rule.action === 'delay' && !(ms > 0)) {
+            throw new Error(`${where}: delay needs a time, e.g. "by 3000 ms"`);
+        }
+        if (rule.action !== 'delay' && ms !== null) {
+            throw new Error(`${where}: only delay takes a time`);
+        }
+
+        return {
+            action: rule.action,
+            kind: rule.kind,
+            every: Boolean(rule.every),
+            nth: rule.every ? null : (nth || 1),
+            seqno: seqno,
+            ms: ms
+        };
+    }
+
+    /**
+     * Work out what the rules do to a packet entering the Pipe
+     * Called once per transmission; advances the rules' packet counters.
+     * 
+     * @param {Packet} packet - Packet being sent
+     * @returns {Object} { drop, corrupt, duplicate, delay (extra ms), rules (descriptions of the rules that fired) }
+     */
+    match(packet) {
+        const kind = packet.getType().toLowerCase();
+        const faults = { drop: false, corrupt: false, duplicate: false, delay: 0, rules: [] };
+
+        this.rules.forEach((rule, index) => {
+            if (rule.kind !== 'any' && rule.kind !== kind) return;
+            if (rule.seqno !== null && rule.seqno !== packet.seqno) return;
+
+            this.counts[index]++;
+            if (!rule.every && this.counts[index] !== rule.nth) return;
+
+            if (rule.action === 'delay') {
+                faults.delay += rule.ms;
+            } else {
+                faults[rule.action] = true;
+            }
+            faults.rules.push(FaultScenario.describeRule(rule));
+        });
+
+        if (faults.rules.length > 0 && this.onFault) {
+            this.onFault(packet, faults.rules);
+        }
+        return faults;
+    }
+
+    /**
+     * Restart the packet counters for a new run
+     */
+    reset() {
+        this.counts = this.rules.map(() => 0);
+    }
+
+    /**
+     * Rule in the one-line form, e.g. "delay ack #1 seq 1 by 3000 ms"
+     * 
+     * @static
+     * @param {Object} rule - Normalized rule
+     * @returns {string} Rule text
+     */
+    static describeRule(rule) {
+        return [
+            rule.action,
+            rule.every ? 'every' : null,
+            rule.kind,
+            rule.every ? null : `#${rule.nth}`,
+            rule.seqno === null ? null : `seq ${rule.seqno}`,
+            rule.ms === null ? null : `by ${rule.ms} ms`
+        ].filter(part => part !== null).join(' ');
+    }
+
+    /**
+     * Scenario in the one-rule-per-line form
+     * 
+     * @returns {string} Scenario text
+     */
+    toText() {
+        return this.rules.map(rule => FaultScenario.describeRule(rule)).join('\n');
+    }
+
+    /**
+     * Scenario as JSON (for sessions and files)
+     * 
+     * @returns {Object} { name, description, rules }
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            description: this.description,
+            rules: this.rules.map(rule => ({ ...rule }))
+        };
+    }
+
+    /**
+     * String representation of the scenario
+     * 
+     * @returns {string} Scenario description
+     */
+    toString() {
+        return `FaultScenario [${this.name}: ${this.rules.map(rule => FaultScenario.describeRule(rule)).join('; ')}]`;
+    }
+}
+
+// Export for Node.js (Pipe/Sender/Receiver); in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FaultScenario;
+    module.exports.SCENARIO_LIBRARY = SCENARIO_LIBRARY;
+}
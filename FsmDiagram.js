@@ -0,0 +1,445 @@
+/**
+ * FsmDiagram Class - Finite state machine drawn in SVG
+ * 
+ * Draws the states of a machine as ellipses and its transitions as
+ * arrows (self-loops for transitions that keep the state). The current
+ * state is highlighted, and firing a transition sends a token along its
+ * arrow and shows its "event / action" label in a caption.
+ * 
+ * RDT_SENDER_FSM and RDT_RECEIVER_FSM describe the rdt3.0 machines the
+ * simulator runs. Their state ids are the state names the simulator
+ * reports (e.g. "Wait for ACK 0"), so a state can be highlighted by name.
+ * 
+ * @author Zshah2
+ * @version 1.0
+ */
+
+const FSM_NS = 'http://www.w3.org/2000/svg';
+
+// rdt3.0 sender: four states in a clockwise cycle. As in Sender.js, a
+// corrupted response or an ACK/NAK for the other sequence number is ignored
+// and the timer decides, a NAK for the current packet resends at once, and
+// a packet is dropped after maxRetries attempts.
+const RDT_SENDER_FSM = {
+    width: 560,
+    height: 310,
+    states: [
+        { id: 'Wait for call 0', lines: ['Wait for', 'call 0'], x: 170, y: 85, initial: true },
+        { id: 'Wait for ACK 0', lines: ['Wait for', 'ACK 0'], x: 390, y: 85 },
+        { id: 'Wait for call 1', lines: ['Wait for', 'call 1'], x: 390, y: 215 },
+        { id: 'Wait for ACK 1', lines: ['Wait for', 'ACK 1'], x: 170, y: 215 }
+    ],
+    transitions: [0, 1].flatMap(seq => [
+        {
+            id: `send-${seq}`,
+            from: `Wait for call ${seq}`,
+            to: `Wait for ACK ${seq}`,
+            on: ['send'],
+            label: 'rdt_send',
+            event: 'rdt_send(data)',
+            action: `sndpkt = make_pkt(${seq}, data, checksum); udt_send(sndpkt); start_timer`
+        },
+        {
+            id: `ack-${seq}`,
+            from: `Wait for ACK ${seq}`,
+            to: `Wait for call ${1 - seq}`,
+            on: ['ack'],
+            label: `ACK ${seq}`,
+            event: `rdt_rcv(rcvpkt) && notcorrupt(rcvpkt) && isACK(rcvpkt, ${seq})`,
+            action: 'stop_timer'
+        },
+        {
+            id: `timeout-${seq}`,
+            from: `Wait for ACK ${seq}`,
+            to: `Wait for ACK ${seq}`,
+            on: ['timeout'],
+            loop: seq === 0 ? 30 : 210,
+            label: 'timeout',
+            event: 'timeout',
+            action: 'udt_send(sndpkt); start_timer'
+        },
+        {
+            id: `ignore-${seq}`,
+            from: `Wait for ACK ${seq}`,
+            to: `Wait for ACK ${seq}`,
+            on: ['corrupt', 'mismatch'],
+            loop: seq === 0 ? -90 : 90,
+            label: `corrupt / ACK ${1 - seq}`,
+            event: `rdt_rcv(rcvpkt) && (corrupt(rcvpkt) || isACK(rcvpkt, ${1 - seq}) || isNAK(rcvpkt, ${1 - seq}))`,
+            action: 'Λ'
+        },
+        {
+            id: `nak-${seq}`,
+            from: `Wait for ACK ${seq}`,
+            to: `Wait for ACK ${seq}`,
+            on: ['nak'],
+            loop: seq === 0 ? -30 : 150,
+            label: 'NAK',
+            event: `rdt_rcv(rcvpkt) && notcorrupt(rcvpkt) && isNAK(rcvpkt, ${seq})`,
+            action: 'udt_send(sndpkt); start_timer'
+        },
+        {
+            id: `give-up-${seq}`,
+            from: `Wait for ACK ${seq}`,
+            to: `Wait for call ${seq}`,
+            on: ['give-up'],
+            label: 'give up',
+            event: 'attempts == maxRetries',
+            action: 'stop_timer; drop sndpkt'
+        },
+        {
+            id: `idle-${seq}`,
+            from: `Wait for call ${seq}`,
+            to: `Wait for call ${seq}`,
+            on: ['corrupt', 'late'],
+            loop: seq === 0 ? 180 : 0,
+            label: 'rdt_rcv',
+            event: 'rdt_rcv(rcvpkt)',
+            action: 'Λ'
+        }
+    ])
+};
+
+// rdt3.0 receiver: deliver the expected packet and ACK it, re-ACK a
+// duplicate, NAK a corrupted packet (as Receiver.js)
+const RDT_RECEIVER_FSM = {
+    width: 560,
+    height: 200,
+    states: [
+        { id: 'Wait for 0 from below', lines: ['Wait for 0', 'from below'], x: 170, y: 100, initial: true },
+        { id: 'Wait for 1 from below', lines: ['Wait for 1', 'from below'], x: 390, y: 100 }
+    ],
+    transitions: [0, 1].flatMap(seq => [
+        {
+            id: `deliver-${seq}`,
+            from: `Wait for ${seq} from below`,
+            to: `Wait for ${1 - seq} from below`,
+            on: ['deliver'],
+            label: `seq ${seq}`,
+            event: `rdt_rcv(rcvpkt) && notcorrupt(rcvpkt) && has_seq${seq}(rcvpkt)`,
+            action: `extract(rcvpkt, data); deliver_data(data); udt_send(make_pkt(ACK, ${seq}, checksum))`
+        },
+        {
+            id: `corrupt-${seq}`,
+            from: `Wait for ${seq} from below`,
+            to: `Wait for ${seq} from below`,
+            on: ['corrupt'],
+            loop: seq === 0 ? 210 : -30,
+            label: 'corrupt',
+            event: 'rdt_rcv(rcvpkt) && corrupt(rcvpkt)',
+            action: `udt_send(make_pkt(NAK, ${seq}, checksum))`
+        },
+        {
+            id: `duplicate-${seq}`,
+            from: `Wait for ${seq} from below`,
+            to: `Wait for ${seq} from below`,
+            on: ['duplicate'],
+            loop: seq === 0 ? 150 : 30,
+            label: `seq ${1 - seq}`,
+            event: `rdt_rcv(rcvpkt) && notcorrupt(rcvpkt) && has_seq${1 - seq}(rcvpkt)`,
+            action: `udt_send(make_pkt(ACK, ${1 - seq}, checksum))`
+        }
+    ])
+};
+
+class FsmDiagram {
+    /**
+     * Constructor - Draw a machine in its initial state
+     * 
+     * @param {SVGElement} svg - Element to draw into (needs an id, used for its arrow markers)
+     * @param {HTMLElement} caption - Element that shows the label of the last transition
+     * @param {Object} machine - Machine description, e.g. RDT_SENDER_FSM
+     * @param {Object[]} machine.states - { id, lines, x, y, initial }
+     * @param {Object[]} machine.transitions - { id, from, to, on, loop, label, event, action }
+     *   where `on` lists the simulator events that fire it and `loop` is the
+     *   angle in degrees at which a self-loop leaves its state
+     */
+    constructor(svg, caption, machine) {
+        this.svg = svg;
+        this.caption = caption;
+        this.machine = machine;
+
+        // Layout in SVG units
+        this.rx = 56;
+        this.ry = 24;
+        this.bend = -25;
+        this.loopSize = 45;
+
+        this.render();
+        this.reset();
+    }
+
+    /**
+     * Return to the initial state and clear the last transition
+     */
+    reset() {
+        this.tokens.innerHTML = '';
+        this.markFired(null);
+        this.caption.textContent = '—';
+        this.setState(this.machine.states.find(fsmState => fsmState.initial).id);
+    }
+
+    /**
+     * Highlight the current state
+     * 
+     * @param {string} id - State id, e.g. "Wait for ACK 0"
+     */
+    setState(id) {
+        this.current = id;
+        this.stateNodes.forEach((node, stateId) => {
+            node.classList.toggle('fsm-current', stateId === id);
+        });
+    }
+
+    /**
+     * Fire the transition that leaves the current state on an event
+     * The arrow is highlighted, a token runs along it and the caption
+     * shows its label. The new state is set separately with setState().
+     * 
+     * @param {string} trigger - Simulator event, e.g. 'send', 'timeout' or 'corrupt'
+     * @param {number} duration - Token animation time in milliseconds (default: 600)
+     * @returns {Object|null} The transition, or null if none leaves the current state on this event
+     */
+    fire(trigger, duration = 600) {
+        const transition = this.machine.transitions.find(
+            candidate => candidate.from === this.current && candidate.on.includes(trigger)
+        );
+        if (!transition) return null;
+
+        this.markFired(transition.id);
+        this.caption.textContent = `${transition.event} / ${transition.action}`;
+        this.animateToken(this.edges.get(transition.id).curve, duration);
+        return transition;
+    }
+
+    /**
+     * Highlight one arrow as the last transition taken
+     * 
+     * @private
+     * @param {string|null} id - Transition id, or null to clear
+     */
+    markFired(id) {
+        this.edges.forEach((edge, edgeId) => {
+            const fired = edgeId === id;
+            edge.group.classList.toggle('fsm-fired', fired);
+            edge.path.setAttribute('marker-end', `url(#${this.svg.id}-${fired ? 'arrow-fired' : 'arrow'})`);
+        });
+    }
+
+    /**
+     * Move a token along an arrow, then remove it
+     * 
+     * @private
+     * @param {Function} curve - Point on the arrow for t in [0, 1]
+     * @param {number} duration - Animation time in milliseconds
+     */
+    animateToken(curve, duration) {
+        const token = document.createElementNS(FSM_NS, 'circle');
+        token.setAttribute('r', '5');
+        token.setAttribute('class', 'fsm-token');
+        this.tokens.appendChild(token);
+
+        const startTime = Date.now();
+        const frame = () => {
+            // Stop when reset() has removed the token
+            if (!token.parentNode) return;
+
+            const progress = duration > 0 ? Math.min((Date.now() - startTime) / duration, 1) : 1;
+            const [x, y] = curve(progress);
+            token.setAttribute('cx', x);
+            token.setAttribute('cy', y);
+
+            if (progress < 1) {
+                requestAnimationFrame(frame);
+            } else {
+                token.remove();
+            }
+        };
+        frame();
+    }
+
+    /**
+     * Draw every state and transition
+     * 
+     * @private
+     */
+    render() {
+        const { width, height } = this.machine;
+        this.svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        this.svg.innerHTML = '';
+
+        const defs = document.createElementNS(FSM_NS, 'defs');
+        defs.appendChild(this.createMarker(`${this.svg.id}-arrow`, 'fsm-arrow'));
+        defs.appendChild(this.createMarker(`${this.svg.id}-arrow-fired`, 'fsm-arrow-fired'));
+        this.svg.appendChild(defs);
+
+        const states = new Map(this.machine.states.map(fsmState => [fsmState.id, fsmState]));
+
+        // Arrows first, so the states are drawn over their ends
+        this.edges = new Map();
+        this.machine.transitions.forEach((transition) => {
+            const from = states.get(transition.from);
+            const geometry = transition.from === transition.to
+                ? this.loopGeometry(from, transition.loop)
+                : this.edgeGeometry(from, states.get(transition.to));
+
+            const group = this.addElement(this.svg, 'g', { class: 'fsm-edge' });
+            const path = this.addElement(group, 'path', { d: geometry.d, class: 'fsm-path' });
+            const [labelX, labelY] = geometry.labelAt;
+            this.addElement(group, 'text', { x: labelX, y: labelY, 'text-anchor': geometry.anchor, class: 'fsm-label' }, transition.label);
+            this.addElement(group, 'title', {}, `${transition.event} / ${transition.action}`);
+
+            this.edges.set(transition.id, { group, path, curve: geometry.curve });
+        });
+
+        this.stateNodes = new Map();
+        this.machine.states.forEach((fsmState) => {
+            const group = this.addElement(this.svg, 'g', { class: 'fsm-state' });
+
+            // Short arrow into the initial state
+            if (fsmState.initial) {
+                const [x, y] = this.boundaryPoint(fsmState, -1, -1);
+                this.addElement(group, 'path', { d: `M ${x - 22} ${y - 22} L ${x} ${y}`, class: 'fsm-path fsm-initial', 'marker-end': `url(#${this.svg.id}-arrow)` });
+            }
+
+            this.addElement(group, 'ellipse', { cx: fsmState.x, cy: fsmState.y, rx: this.rx, ry: this.ry, class: 'fsm-node' });
+            fsmState.lines.forEach((line, index) => {
+                const y = fsmState.y + (index - (fsmState.lines.length - 1) / 2) * 12 + 4;
+                this.addElement(group, 'text', { x: fsmState.x, y: y, 'text-anchor': 'middle', class: 'fsm-state-label' }, line);
+            });
+
+            this.stateNodes.set(fsmState.id, group);
+        });
+
+        // Tokens travel above everything else
+        this.tokens = this.addElement(this.svg, 'g', {});
+    }
+
+    /**
+     * Curved arrow between two states, bent to the left of its direction
+     * so the arrows of a pair of opposite transitions do not overlap
+     * 
+     * @private
+     * @returns {Object} { d, curve, labelAt, anchor }
+     */
+    edgeGeometry(from, to) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy);
+        const normal = [-dy / length, dx / length];
+
+        const control = [
+            (from.x + to.x) / 2 + normal[0] * this.bend,
+            (from.y + to.y) / 2 + normal[1] * this.bend
+        ];
+        const start = this.boundaryPoint(from, control[0] - from.x, control[1] - from.y);
+        const end = this.boundaryPoint(to, control[0] - to.x, control[1] - to.y);
+
+        const curve = t => [0, 1].map(axis =>
+            (1 - t) * (1 - t) * start[axis] + 2 * (1 - t) * t * control[axis] + t * t * end[axis]
+        );
+
+        // Label just outside the bend
+        const [midX, midY] = curve(0.5);
+        const side = [normal[0] * Math.sign(this.bend), normal[1] * Math.sign(this.bend)];
+        return {
+            d: `M ${start[0]} ${start[1]} Q ${control[0]} ${control[1]} ${end[0]} ${end[1]}`,
+            curve: curve,
+            labelAt: [midX + side[0] * 8, midY + side[1] * 8 + (side[1] > 0.5 ? 8 : 0)],
+            anchor: FsmDiagram.anchorFor(side[0])
+        };
+    }
+
+    /**
+     * Self-loop leaving a state at an angle
+     * 
+     * @private
+     * @param {Object} fsmState - State the loop belongs to
+     * @param {number} angle - Direction in degrees (0 = right, 90 = down)
+     * @returns {Object} { d, curve, labelAt, anchor }
+     */
+    loopGeometry(fsmState, angle) {
+        const radians = angle * Math.PI / 180;
+        const spread = 0.35;
+        const start = this.boundaryPoint(fsmState, Math.cos(radians - spread), Math.sin(radians - spread));
+        const end = this.boundaryPoint(fsmState, Math.cos(radians + spread), Math.sin(radians + spread));
+        const control1 = [start[0] + Math.cos(radians - 0.6) * this.loopSize, start[1] + Math.sin(radians - 0.6) * this.loopSize];
+        const control2 = [end[0] + Math.cos(radians + 0.6) * this.loopSize, end[1] + Math.sin(radians + 0.6) * this.loopSize];
+
+        const curve = t => [0, 1].map(axis =>
+            (1 - t) ** 3 * start[axis] + 3 * (1 - t) ** 2 * t * control1[axis] +
+            3 * (1 - t) * t * t * control2[axis] + t ** 3 * end[axis]
+        );
+
+        const [tipX, tipY] = curve(0.5);
+        const direction = [Math.cos(radians), Math.sin(radians)];
+        return {
+            d: `M ${start[0]} ${start[1]} C ${control1[0]} ${control1[1]} ${control2[0]} ${control2[1]} ${end[0]} ${end[1]}`,
+            curve: curve,
+            labelAt: [tipX + direction[0] * 6, tipY + direction[1] * 6 + (direction[1] > 0.5 ? 10 : 3)],
+            anchor: FsmDiagram.anchorFor(direction[0])
+        };
+    }
+
+    /**
+     * Point where a ray from the center of a state leaves its ellipse
+     * 
+     * @private
+     * @param {Object} fsmState - State
+     * @param {number} dx - Ray direction, x
+     * @param {number} dy - Ray direction, y
+     * @returns {number[]} [x, y]
+     */
+    boundaryPoint(fsmState, dx, dy) {
+        const scale = 1 / Math.hypot(dx / this.rx, dy / this.ry);
+        return [fsmState.x + dx * scale, fsmState.y + dy * scale];
+    }
+
+    /**
+     * Arrowhead marker
+     * 
+     * @private
+     * @returns {SVGMarkerElement} The marker
+     */
+    createMarker(id, className) {
+        const marker = document.createElementNS(FSM_NS, 'marker');
+        [['id', id], ['viewBox', '0 0 10 10'], ['refX', '9'], ['refY', '5'],
+            ['markerWidth', '7'], ['markerHeight', '7'], ['orient', 'auto']]
+            .forEach(([name, value]) => marker.setAttribute(name, value));
+        this.addElement(marker, 'path', { d: 'M 0 0 L 10 5 L 0 10 z', class: className });
+        return marker;
+    }
+
+    /**
+     * Append an SVG element
+     * 
+     * @private
+     * @param {Element} parent - Element to append to
+     * @param {string} name - Element name
+     * @param {Object} attributes - Attribute name -> value
+     * @param {string} text - Text content (optional)
+     * @returns {SVGElement} The new element
+     */
+    addElement(parent, name, attributes, text) {
+        const element = document.createElementNS(FSM_NS, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        parent.appendChild(element);
+        return element;
+    }
+
+    /**
+     * Text anchor for a label placed on one side of a point
+     * 
+     * @static
+     * @param {number} dx - Horizontal direction of the offset
+     * @returns {string} 'start', 'end' or 'middle'
+     */
+    static anchorFor(dx) {
+        if (dx > 0.5) return 'start';
+        if (dx < -0.5) return 'end';
+        return 'middle';
+    }
+}
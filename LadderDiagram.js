@@ -0,0 +1,270 @@
+/**
+ * LadderDiagram Class - Space-time sequence diagram
+ * 
+ * Draws a sender timeline and a receiver timeline with time running
+ * downwards. Every packet and ACK/NAK becomes a slanted arrow from the
+ * moment it was sent to the moment it arrived (or was lost), so the
+ * whole history of a run stays visible and can be scrolled back.
+ * Hovering an arrow shows the packet's header fields.
+ * 
+ * @author Zshah2
+ * @version 1.0
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class LadderDiagram {
+    /**
+     * Constructor - Attach the diagram to an SVG element
+     * 
+     * @param {SVGElement} svg - Element to draw into
+     * @param {HTMLElement} container - Scrollable element around the SVG
+     * @param {number} delay - One-way delay in milliseconds, sets the time scale (default: 100)
+     */
+    constructor(svg, container, delay = 100) {
+        this.svg = svg;
+        this.container = container;
+
+        // Layout in SVG units
+        this.width = 500;
+        this.senderX = 90;
+        this.receiverX = 410;
+        this.top = 40;
+        this.bottomMargin = 40;
+
+        this.reset(delay);
+    }
+
+    /**
+     * Clear the diagram and pick a time scale for a new run
+     * A one-way trip is drawn at least 40 units tall so slopes stay readable.
+     * 
+     * @param {number} delay - One-way delay in milliseconds (default: 100)
+     */
+    reset(delay = 100) {
+        this.startTime = null;
+        this.unitsPerMs = Math.max(0.05, Math.min(2, 40 / Math.max(delay, 1)));
+        this.height = this.top + this.bottomMargin;
+        this.svg.innerHTML = '';
+
+        this.timelines = document.createElementNS(SVG_NS, 'g');
+        this.arrows = document.createElementNS(SVG_NS, 'g');
+        this.svg.appendChild(this.timelines);
+        this.svg.appendChild(this.arrows);
+
+        this.addText(this.timelines, this.senderX, 20, 'Sender', 'ladder-heading');
+        this.addText(this.timelines, this.receiverX, 20, 'Receiver', 'ladder-heading');
+        this.senderLine = this.addLine(this.timelines, this.senderX, this.top, this.senderX, this.height, 'ladder-timeline');
+        this.receiverLine = this.addLine(this.timelines, this.receiverX, this.top, this.receiverX, this.height, 'ladder-timeline');
+
+        this.resize();
+    }
+
+    /**
+     * Convert a time to a vertical position
+     * The first event of a run defines time zero.
+     * 
+     * @private
+     * @param {number} time - Time in milliseconds
+     * @returns {number} Y coordinate
+     */
+    yFor(time) {
+        if (this.startTime === null) {
+            this.startTime = time;
+        }
+        return this.top + (time - this.startTime) * this.unitsPerMs;
+    }
+
+    /**
+     * Format a time relative to the start of the run
+     * 
+     * @param {number} time - Time in milliseconds
+     * @returns {string} e.g. "t=1.234s"
+     */
+    formatTime(time) {
+        const start = this.startTime === null ? time : this.startTime;
+        return `t=${((time - start) / 1000).toFixed(3)}s`;
+    }
+
+    /**
+     * Draw one packet or ACK/NAK crossing the network
+     * Lost packets stop halfway with a cross; corrupted ones arrive dashed.
+     * 
+     * @param {Object} flight - What to draw
+     * @param {string} flight.direction - 'forward' (sender to receiver) or 'reverse'
+     * @param {string} flight.label - Text on the arrow, e.g. "PKT 0" or "ACK 1 (retx)"
+     * @param {number} flight.sentAt - Send time in milliseconds
+     * @param {number} flight.arrivedAt - Arrival (or loss) time in milliseconds
+     * @param {string} flight.outcome - 'delivered', 'lost' or 'corrupted'
+     * @param {Object} flight.header - Header fields shown on hover
+     * @returns {SVGGElement} The arrow group
+     */
+    addArrow(flight) {
+        const forward = flight.direction === 'forward';
+        const x1 = forward ? this.senderX : this.receiverX;
+        const x2 = forward ? this.receiverX : this.senderX;
+        const y1 = this.yFor(flight.sentAt);
+        const y2 = this.yFor(flight.arrivedAt);
+
+        // A lost packet is drawn only halfway
+        const endX = flight.outcome === 'lost' ? (x1 + x2) / 2 : x2;
+        const endY = flight.outcome === 'lost' ? (y1 + y2) / 2 : y2;
+
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('class', `ladder-arrow ladder-${flight.direction} ladder-${flight.outcome}`);
+
+        this.addLine(group, x1, y1, endX, endY, 'ladder-shaft');
+        this.addArrowHead(group, x1, y1, endX, endY, flight.outcome === 'lost');
+
+        // Label sits at the middle of the shaft, on the sender side of it
+        const midX = (x1 + endX) / 2;
+        const midY = (y1 + endY) / 2;
+        this.addText(group, midX, midY - 4, `${flight.label} @ ${this.formatTime(flight.sentAt)}`, 'ladder-label');
+
+        // Native tooltip with the header fields
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = [
+            `${flight.label} - ${flight.outcome}`,
+            `Sent: ${this.formatTime(flight.sentAt)}`,
+            `Arrived: ${flight.outcome === 'lost' ? '—' : this.formatTime(flight.arrivedAt)}`,
+            ...Object.entries(flight.header).map(([name, value]) => `${name}: ${value}`)
+        ].join('\n');
+        group.appendChild(title);
+
+        this.arrows.appendChild(group);
+        this.grow(Math.max(y1, y2));
+        return group;
+    }
+
+    /**
+     * Mark an event on one timeline, e.g. a timeout or a delivery
+     * 
+     * @param {string} side - 'sender' or 'receiver'
+     * @param {number} time - Event time in milliseconds
+     * @param {string} label - Text next to the marker
+     * @param {string} type - CSS modifier, e.g. 'timeout' or 'deliver'
+     */
+    addEvent(side, time, label, type) {
+        const x = side === 'sender' ? this.senderX : this.receiverX;
+        const y = this.yFor(time);
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('class', `ladder-event ladder-event-${type}`);
+
+        const marker = document.createElementNS(SVG_NS, 'circle');
+        marker.setAttribute('cx', x);
+        marker.setAttribute('cy', y);
+        marker.setAttribute('r', '4');
+        group.appendChild(marker);
+
+        // Sender notes go to the left of its line, receiver notes to the right
+        const text = this.addText(group, side === 'sender' ? x - 8 : x + 8, y + 4, `${label} ${this.formatTime(time)}`, 'ladder-note');
+        text.setAttribute('text-anchor', side === 'sender' ? 'end' : 'start');
+
+        this.arrows.appendChild(group);
+        this.grow(y);
+    }
+
+    /**
+     * Draw the head of an arrow, or a cross for a lost packet
+     * 
+     * @private
+     */
+    addArrowHead(group, x1, y1, x2, y2, lost) {
+        if (lost) {
+            this.addLine(group, x2 - 6, y2 - 6, x2 + 6, y2 + 6, 'ladder-cross');
+            this.addLine(group, x2 - 6, y2 + 6, x2 + 6, y2 - 6, 'ladder-cross');
+            return;
+        }
+
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const size = 8;
+        const points = [
+            [x2, y2],
+            [x2 - size * Math.cos(angle - Math.PI / 7), y2 - size * Math.sin(angle - Math.PI / 7)],
+            [x2 - size * Math.cos(angle + Math.PI / 7), y2 - size * Math.sin(angle + Math.PI / 7)]
+        ];
+        const head = document.createElementNS(SVG_NS, 'polygon');
+        head.setAttribute('points', points.map(point => point.join(',')).join(' '));
+        head.setAttribute('class', 'ladder-head');
+        group.appendChild(head);
+    }
+
+    /**
+     * Extend the timelines so everything up to y is visible, and scroll to it
+     * 
+     * @private
+     * @param {number} y - Lowest coordinate drawn
+     */
+    grow(y) {
+        const needed = y + this.bottomMargin;
+        if (needed > this.height) {
+            this.height = needed;
+            this.senderLine.setAttribute('y2', this.height);
+            this.receiverLine.setAttribute('y2', this.height);
+            this.resize();
+        }
+        this.container.scrollTop = this.container.scrollHeight;
+    }
+
+    /**
+     * Apply the current height to the SVG
+     * 
+     * @private
+     */
+    resize() {
+        this.svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+        this.svg.setAttribute('height', this.height);
+    }
+
+    /**
+     * Append an SVG line
+     * 
+     * @private
+     * @returns {SVGLineElement} The new line
+     */
+    addLine(parent, x1, y1, x2, y2, className) {
+        const line = document.createElementNS(SVG_NS, 'line');
+        line.setAttribute('x1', x1);
+        line.setAttribute('y1', y1);
+        line.setAttribute('x2', x2);
+        line.setAttribute('y2', y2);
+        line.setAttribute('class', className);
+        parent.appendChild(line);
+        return line;
+    }
+
+    /**
+     * Append an SVG text element, centered on x by default
+     * 
+     * @private
+     * @returns {SVGTextElement} The new text
+     */
+    addText(parent, x, y, content, className) {
+        const text = document.createElementNS(SVG_NS, 'text');
+        text.setAttribute('x', x);
+        text.setAttribute('y', y);
+        text.setAttribute('text-anchor', 'middle');
+        text.setAttribute('class', className);
+        text.textContent = content;
+        parent.appendChild(text);
+        return text;
+    }
+
+    /**
+     * Header fields of a packet, for tooltips
+     * 
+     * @static
+     * @param {Object} fields - Header as recorded in a session event: type, seqno, len, cksum, checksumType, flags, sessionId
+     * @returns {Object} Field name -> value
+     */
+    static describe(fields) {
+        return {
+            Type: fields.type,
+            'Seq #': fields.seqno,
+            Length: `${fields.len} bytes`,
+            Checksum: `${fields.cksum} (${fields.checksumType})`,
+            Flags: `0x${fields.flags.toString(16).padStart(2, '0')}`,
+            Session: fields.sessionId
+        };
+    }
+}
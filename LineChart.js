@@ -0,0 +1,120 @@
+/**
+ * LineChart Class - Small time-series chart drawn in SVG
+ * 
+ * Plots one or more series against time (in seconds) with an automatic
+ * y scale, so the simulator can show live metrics without a charting
+ * library. Series are drawn as lines or, for per-packet samples, as dots.
+ * 
+ * @author Zshah2
+ * @version 1.0
+ */
+
+const CHART_NS = 'http://www.w3.org/2000/svg';
+
+class LineChart {
+    /**
+     * Constructor - Attach the chart to an SVG element
+     * 
+     * @param {SVGElement} svg - Element to draw into
+     * @param {Object} options - Display settings
+     * @param {Function} options.format - Formats a y value for the axis labels (default: String)
+     * @param {number} options.minMax - Smallest top of the y axis, so flat series stay readable (default: 0)
+     */
+    constructor(svg, options = {}) {
+        this.svg = svg;
+        this.format = options.format || String;
+        this.minMax = options.minMax || 0;
+
+        // Layout in SVG units
+        this.width = 300;
+        this.height = 120;
+        this.left = 44;
+        this.right = 8;
+        this.top = 8;
+        this.bottom = 18;
+
+        this.series = [];
+        this.svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+        this.render();
+    }
+
+    /**
+     * Replace the data and redraw
+     * 
+     * @param {Object[]} series - Series to plot
+     * @param {number[][]} series[].points - [seconds, value] pairs in time order
+     * @param {string} series[].className - CSS class for the series
+     * @param {string} series[].style - 'line' (default) or 'dots'
+     */
+    setSeries(series) {
+        this.series = series;
+        this.render();
+    }
+
+    /**
+     * Remove all data
+     */
+    clear() {
+        this.setSeries([]);
+    }
+
+    /**
+     * Draw the axes and every series
+     * 
+     * @private
+     */
+    render() {
+        this.svg.innerHTML = '';
+
+        const points = this.series.flatMap(series => series.points);
+        const maxX = Math.max(1, ...points.map(point => point[0]));
+        const maxY = Math.max(this.minMax, ...points.map(point => point[1])) * 1.1 || 1;
+
+        const plotWidth = this.width - this.left - this.right;
+        const plotHeight = this.height - this.top - this.bottom;
+        const x = value => this.left + (value / maxX) * plotWidth;
+        const y = value => this.top + plotHeight - (value / maxY) * plotHeight;
+
+        // Grid lines with labels at 0, half and full scale
+        [0, 0.5, 1].forEach((fraction) => {
+            const value = maxY * fraction;
+            this.addElement('line', { x1: this.left, y1: y(value), x2: this.width - this.right, y2: y(value), class: 'chart-grid' });
+            this.addElement('text', { x: this.left - 4, y: y(value) + 3, class: 'chart-axis', 'text-anchor': 'end' }, this.format(value));
+        });
+        this.addElement('text', { x: this.left, y: this.height - 4, class: 'chart-axis' }, '0 s');
+        this.addElement('text', { x: this.width - this.right, y: this.height - 4, class: 'chart-axis', 'text-anchor': 'end' }, `${maxX.toFixed(1)} s`);
+
+        if (points.length === 0) {
+            this.addElement('text', { x: this.left + plotWidth / 2, y: this.top + plotHeight / 2, class: 'chart-empty', 'text-anchor': 'middle' }, 'No data yet');
+            return;
+        }
+
+        this.series.forEach((series) => {
+            if (series.style === 'dots') {
+                series.points.forEach(([px, py]) => {
+                    this.addElement('circle', { cx: x(px), cy: y(py), r: 2.5, class: series.className });
+                });
+            } else if (series.points.length > 0) {
+                const path = series.points.map(([px, py]) => `${x(px).toFixed(1)},${y(py).toFixed(1)}`).join(' ');
+                this.addElement('polyline', { points: path, class: series.className });
+            }
+        });
+    }
+
+    /**
+     * Append an SVG element
+     * 
+     * @private
+     * @param {string} name - Element name
+     * @param {Object} attributes - Attribute name -> value
+     * @param {string} text - Text content (optional)
+     */
+    addElement(name, attributes, text) {
+        const element = document.createElementNS(CHART_NS, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        this.svg.appendChild(element);
+    }
+}
@@ -2,63 +2,206 @@
  * Packet Class - RDT Stop-and-Wait Protocol
  * 
  * Represents a data or ACK packet with header information and payload.
- * Includes checksum calculation for error detection.
+ * Includes checksum calculation for error detection. The checksum covers
+ * the whole header and payload, and the header records which algorithm
+ * (8-bit sum, Internet checksum or CRC-32) produced it.
+ * The flags field says what kind of packet it is (DATA has no flags; ACK,
+ * NAK, SYN, FIN and RST each have a bit, e.g. a SYN-ACK is SYN | ACK), and
+ * every packet carries the session ID agreed on in the SYN exchange.
  * 
  * @author Zshah2
  * @version 1.0
  */
 
+/**
+ * Base class for datagrams that cannot be accepted as packets
+ * The code property names the kind of problem, so callers can count them.
+ */
+class PacketError extends Error {
+    /**
+     * @param {string} code - 'truncated', 'oversize', 'bad-length' or 'bad-checksum'
+     * @param {string} message - Description for logging
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+/**
+ * Datagram is shorter than the header, or than the length it declares
+ */
+class TruncatedPacketError extends PacketError {
+    constructor(message) {
+        super('truncated', message);
+    }
+}
+
+/**
+ * Datagram is larger than the biggest packet the protocol sends
+ */
+class OversizePacketError extends PacketError {
+    constructor(message) {
+        super('oversize', message);
+    }
+}
+
+/**
+ * Length field is impossible or disagrees with the datagram size
+ */
+class BadLengthError extends PacketError {
+    constructor(message) {
+        super('bad-length', message);
+    }
+}
+
+/**
+ * Checksum does not match, or names an unknown algorithm
+ * The parsed (untrusted) packet is attached when the header was readable,
+ * so a receiver can still NAK the session it claims to belong to.
+ */
+class BadChecksumError extends PacketError {
+    /**
+     * @param {string} message - Description for logging
+     * @param {Packet|null} packet - Parsed packet, if the header was readable
+     */
+    constructor(message, packet = null) {
+        super('bad-checksum', message);
+        this.packet = packet;
+    }
+}
+
 class Packet {
     // Static constants for packet structure
-    static HEADER_SIZE = 8;           // 2 + 2 + 4 bytes
+    static HEADER_SIZE = 16;          // 4 + 2 + 1 + 1 + 4 + 4 bytes
     static MAX_DATA_SIZE = 500;       // Maximum payload size
     static MAX_PACKET_SIZE = Packet.HEADER_SIZE + Packet.MAX_DATA_SIZE;
     static ACK_PACKET_SIZE = Packet.HEADER_SIZE;
 
+    // Flag bits
+    static FLAG_FIN = 0x01;           // End of transfer (FIN, or FIN-ACK from the receiver)
+    static FLAG_SYN = 0x02;           // Connection setup (SYN, or SYN-ACK from the receiver)
+    static FLAG_RST = 0x04;           // Connection rejected by the receiver
+    static FLAG_ACK = 0x08;           // Acknowledgment (alone, or with SYN/FIN for a SYN-ACK/FIN-ACK)
+    static FLAG_NAK = 0x10;           // Negative acknowledgment: packet arrived corrupted
+    static TYPE_FLAGS = Packet.FLAG_FIN | Packet.FLAG_SYN | Packet.FLAG_RST | Packet.FLAG_ACK | Packet.FLAG_NAK;
+
+    // Checksum algorithms and the IDs recorded in the header
+    static CHECKSUM_IDS = { sum8: 0, internet: 1, crc32: 2 };
+    static DEFAULT_CHECKSUM = 'internet';
+    static crcTable = null;           // CRC-32 lookup table, built on first use
+
     /**
      * Constructor - Creates either a data packet or ACK packet
      * 
      * @param {number} seqnoOrAckno - Sequence number (data) or ACK number
      * @param {Uint8Array|null} data - Payload data (null for ACK packets)
+     * @param {number} flags - Type flags, e.g. Packet.FLAG_ACK (default: 0, a DATA packet)
+     * @param {number} sessionId - Session the packet belongs to (default: 0)
+     * @param {string} checksumType - 'sum8', 'internet' or 'crc32' (default: Packet.DEFAULT_CHECKSUM)
      * 
-     * @throws {Error} If sequence number is invalid
+     * @throws {Error} If sequence number or checksum algorithm is invalid
      */
-    constructor(seqnoOrAckno, data = null) {
+    constructor(seqnoOrAckno, data = null, flags = 0, sessionId = 0, checksumType = Packet.DEFAULT_CHECKSUM) {
         if (!Number.isInteger(seqnoOrAckno) || seqnoOrAckno < 0) {
             throw new Error('Invalid sequence number');
         }
+        if (Packet.CHECKSUM_IDS[checksumType] === undefined) {
+            throw new Error(`Unknown checksum algorithm: ${checksumType}`);
+        }
 
         this.seqno = seqnoOrAckno;
+        this.flags = flags;
+        this.sessionId = sessionId;
+        this.checksumType = checksumType;
         this.data = data !== null ? data : null;
         this.len = data !== null ? (Packet.HEADER_SIZE + data.length) : Packet.HEADER_SIZE;
         this.cksum = this.calculateChecksum();
     }
 
     /**
-     * Calculate checksum using sum modulo 256 algorithm
-     * Simple but effective for detecting single and multiple bit errors
+     * Calculate checksum over the serialized header and payload
+     * The checksum field itself is taken as zero while computing.
      * 
      * @private
-     * @returns {number} Checksum value (0-255)
+     * @returns {number} Checksum value (unsigned, at most 32 bits)
      */
     calculateChecksum() {
+        const bytes = this.serialize(0);
+
+        switch (this.checksumType) {
+            case 'sum8':
+                return Packet.sum8(bytes);
+            case 'crc32':
+                return Packet.crc32(bytes);
+            default:
+                return Packet.internetChecksum(bytes);
+        }
+    }
+
+    /**
+     * Sum of all bytes modulo 256
+     * Cheap, but blind to swapped bytes and to errors that cancel out
+     * 
+     * @static
+     * @param {Uint8Array} bytes - Data to checksum
+     * @returns {number} Checksum value (0-255)
+     */
+    static sum8(bytes) {
         let sum = 0;
+        for (const byte of bytes) {
+            sum += byte;
+        }
+        return sum % 256;
+    }
 
-        // Add sequence number bytes (4 bytes, little-endian)
-        sum += (this.seqno & 0xFF);
-        sum += ((this.seqno >> 8) & 0xFF);
-        sum += ((this.seqno >> 16) & 0xFF);
-        sum += ((this.seqno >> 24) & 0xFF);
+    /**
+     * 16-bit ones' complement Internet checksum (RFC 1071), as used by UDP
+     * Odd-length data is padded with a zero byte.
+     * 
+     * @static
+     * @param {Uint8Array} bytes - Data to checksum
+     * @returns {number} Checksum value (0-65535)
+     */
+    static internetChecksum(bytes) {
+        let sum = 0;
+        for (let i = 0; i < bytes.length; i += 2) {
+            sum += (bytes[i] << 8) | (i + 1 < bytes.length ? bytes[i + 1] : 0);
+        }
 
-        // Add payload bytes if present
-        if (this.data !== null && this.data.length > 0) {
-            for (let byte of this.data) {
-                sum += (byte & 0xFF);
+        // Fold the carries back into the low 16 bits
+        while (sum > 0xFFFF) {
+            sum = (sum & 0xFFFF) + (sum >>> 16);
+        }
+        return (~sum) & 0xFFFF;
+    }
+
+    /**
+     * CRC-32 (IEEE 802.3 polynomial, as used by Ethernet and zip)
+     * Catches all burst errors up to 32 bits long.
+     * 
+     * @static
+     * @param {Uint8Array} bytes - Data to checksum
+     * @returns {number} Checksum value (unsigned 32-bit)
+     */
+    static crc32(bytes) {
+        if (!Packet.crcTable) {
+            Packet.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                Packet.crcTable[n] = c >>> 0;
             }
         }
 
-        // Return modulo 256 to fit in 2 bytes
-        return sum % 256;
+        let crc = 0xFFFFFFFF;
+        for (const byte of bytes) {
+            crc = Packet.crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
     }
 
     /**
@@ -72,18 +215,32 @@ class Packet {
 
     /**
      * Convert packet to byte array for transmission
-     * Format: [cksum:2][len:2][seqno:4][data:variable]
+     * Format: [cksum:4][len:2][flags:1][algo:1][seqno:4][session:4][data:variable]
      * 
      * @returns {Uint8Array} Binary packet data
      */
     toByteArray() {
+        return this.serialize(this.cksum);
+    }
+
+    /**
+     * Write the packet with a given value in the checksum field
+     * 
+     * @private
+     * @param {number} cksum - Value for the checksum field
+     * @returns {Uint8Array} Binary packet data
+     */
+    serialize(cksum) {
         const buffer = new ArrayBuffer(this.len);
         const view = new DataView(buffer);
 
-        // Write header (8 bytes)
-        view.setInt16(0, this.cksum, false);  // Checksum
-        view.setInt16(2, this.len, false);    // Length
-        view.setInt32(4, this.seqno, false);  // Sequence number
+        // Write header (16 bytes)
+        view.setUint32(0, cksum, false);      // Checksum
+        view.setUint16(4, this.len, false);   // Length
+        view.setUint8(6, this.flags);         // Flags
+        view.setUint8(7, Packet.CHECKSUM_IDS[this.checksumType]); // Checksum algorithm
+        view.setInt32(8, this.seqno, false);  // Sequence number
+        view.setUint32(12, this.sessionId, false); // Session ID
 
         // Write payload data if present
         if (this.data !== null && this.data.length > 0) {
@@ -97,25 +254,50 @@ class Packet {
 
     /**
      * Reconstruct packet from byte array
-     * Static factory method for deserialization
+     * Static factory method for deserialization. The datagram must be
+     * exactly as long as its length field says and pass its checksum.
      * 
      * @static
      * @param {Uint8Array} bytes - Binary packet data
      * @returns {Packet} Reconstructed packet object
-     * @throws {Error} If packet data is corrupted
+     * @throws {TruncatedPacketError} If the datagram is shorter than the header or its length field
+     * @throws {OversizePacketError} If the datagram is larger than MAX_PACKET_SIZE
+     * @throws {BadLengthError} If the length field is out of range or leaves trailing bytes
+     * @throws {BadChecksumError} If the checksum fails or its algorithm is unknown
      */
     static fromByteArray(bytes) {
         if (bytes.length < Packet.HEADER_SIZE) {
-            throw new Error('Packet too small');
+            throw new TruncatedPacketError(`Packet truncated: ${bytes.length} bytes is shorter than the ${Packet.HEADER_SIZE}-byte header`);
+        }
+        if (bytes.length > Packet.MAX_PACKET_SIZE) {
+            throw new OversizePacketError(`Packet oversize: ${bytes.length} bytes, limit is ${Packet.MAX_PACKET_SIZE}`);
         }
 
         const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
 
         // Read header
         const packet = new Packet(0);
-        packet.cksum = view.getInt16(0, false);
-        packet.len = view.getInt16(2, false);
-        packet.seqno = view.getInt32(4, false);
+        packet.cksum = view.getUint32(0, false);
+        packet.len = view.getUint16(4, false);
+        packet.flags = view.getUint8(6);
+        packet.seqno = view.getInt32(8, false);
+        packet.sessionId = view.getUint32(12, false);
+
+        if (packet.len < Packet.HEADER_SIZE || packet.len > Packet.MAX_PACKET_SIZE) {
+            throw new BadLengthError(`Bad length field: ${packet.len} (must be ${Packet.HEADER_SIZE}-${Packet.MAX_PACKET_SIZE})`);
+        }
+        if (packet.len > bytes.length) {
+            throw new TruncatedPacketError(`Packet truncated: header says ${packet.len} bytes, got ${bytes.length}`);
+        }
+        if (packet.len < bytes.length) {
+            throw new BadLengthError(`Bad length field: header says ${packet.len} bytes, got ${bytes.length}`);
+        }
+
+        const algorithmId = view.getUint8(7);
+        packet.checksumType = Object.keys(Packet.CHECKSUM_IDS).find(name => Packet.CHECKSUM_IDS[name] === algorithmId);
+        if (packet.checksumType === undefined) {
+            throw new BadChecksumError(`Unknown checksum algorithm ID: ${algorithmId}`);
+        }
 
         // Read payload if present
         const dataLength = packet.len - Packet.HEADER_SIZE;
@@ -126,25 +308,79 @@ class Packet {
             }
         }
 
+        if (!packet.verifyChecksum()) {
+            throw new BadChecksumError(`Checksum mismatch: got ${packet.cksum}, expected ${packet.calculateChecksum()}`, packet);
+        }
+
         return packet;
     }
 
     /**
-     * Check if this is an ACK packet (no payload)
+     * Check if this packet carries the FIN flag
+     * 
+     * @returns {boolean} True for FIN and FIN-ACK packets
+     */
+    isFin() {
+        return (this.flags & Packet.FLAG_FIN) !== 0;
+    }
+
+    /**
+     * Check if this packet carries the SYN flag
+     * 
+     * @returns {boolean} True for SYN and SYN-ACK packets
+     */
+    isSyn() {
+        return (this.flags & Packet.FLAG_SYN) !== 0;
+    }
+
+    /**
+     * Check if this packet carries the RST flag
+     * 
+     * @returns {boolean} True if the receiver rejected the connection
+     */
+    isRst() {
+        return (this.flags & Packet.FLAG_RST) !== 0;
+    }
+
+    /**
+     * Check if this packet carries the ACK flag
      * 
-     * @returns {boolean} True if ACK packet, false if data packet
+     * @returns {boolean} True for ACK, SYN-ACK and FIN-ACK packets
      */
     isAckPacket() {
-        return this.data === null || this.data.length === 0;
+        return (this.flags & Packet.FLAG_ACK) !== 0;
     }
 
     /**
-     * Check if this is a data packet (has payload)
+     * Check if this packet carries the NAK flag
      * 
-     * @returns {boolean} True if data packet, false if ACK
+     * @returns {boolean} True if the receiver reported a corrupted packet
+     */
+    isNak() {
+        return (this.flags & Packet.FLAG_NAK) !== 0;
+    }
+
+    /**
+     * Check if this is a data packet (no type flags set)
+     * 
+     * @returns {boolean} True if data packet, false for any control packet
      */
     isDataPacket() {
-        return !this.isAckPacket();
+        return (this.flags & Packet.TYPE_FLAGS) === 0;
+    }
+
+    /**
+     * Get the packet type from its flags
+     * 
+     * @returns {string} 'DATA', 'ACK', 'NAK', 'SYN', 'SYN-ACK', 'FIN', 'FIN-ACK' or 'RST'
+     */
+    getType() {
+        if (this.isRst()) return 'RST';
+        if (this.isNak()) return 'NAK';
+        if (this.isSyn()) return this.isAckPacket() ? 'SYN-ACK' : 'SYN';
+        if (this.isFin()) return this.isAckPacket() ? 'FIN-ACK' : 'FIN';
+        if (this.isAckPacket()) return 'ACK';
+        return 'DATA';
     }
 
     /**
@@ -171,10 +407,26 @@ class Packet {
      * @returns {string} Human-readable packet description
      */
     toString() {
-        if (this.isAckPacket()) {
-            return `ACK [seq=${this.seqno}, cksum=${this.cksum}]`;
+        const type = this.getType();
+
+        if (type === 'RST') {
+            return `RST [session=${this.sessionId}, cksum=${this.cksum}]`;
+        } else if (type === 'SYN' || type === 'SYN-ACK') {
+            return `${type} [session=${this.sessionId}, len=${this.len}, cksum=${this.cksum}]`;
+        } else if (type === 'DATA') {
+            return `DATA [seq=${this.seqno}, len=${this.len}, size=${this.getPayloadSize()}, cksum=${this.cksum}]`;
         } else {
-            return `DATA [seq=${this.seqno}, len=${this.len}, size=${this.data.length}, cksum=${this.cksum}]`;
+            return `${type} [seq=${this.seqno}, cksum=${this.cksum}]`;
         }
     }
 }
+
+// Export for Node.js (Sender/Receiver); in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Packet;
+    module.exports.PacketError = PacketError;
+    module.exports.TruncatedPacketError = TruncatedPacketError;
+    module.exports.OversizePacketError = OversizePacketError;
+    module.exports.BadLengthError = BadLengthError;
+    module.exports.BadChecksumError = BadChecksumError;
+}
@@ -0,0 +1,238 @@
+/**
+ * Packet Tests - Parsing untrusted datagrams
+ * 
+ * Packet.fromByteArray is the first thing every datagram from the Pipe
+ * goes through, so it must reject anything malformed with a PacketError
+ * (never a RangeError or TypeError) and accept every packet it wrote.
+ * Run with: node --test
+ * 
+ * @author Zshah2
+ * @version 1.0
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const Packet = require('./Packet');
+const SeededRandom = require('./Random');
+const { PacketError, TruncatedPacketError, OversizePacketError, BadLengthError, BadChecksumError } = Packet;
+
+const CHECKSUM_TYPES = Object.keys(Packet.CHECKSUM_IDS);
+const ERROR_CODES = ['truncated', 'oversize', 'bad-length', 'bad-checksum'];
+
+// Fixed seed, so a failure can be reproduced
+const random = new SeededRandom(20240601);
+
+/**
+ * Random bytes
+ * 
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Bytes
+ */
+function randomBytes(length) {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        bytes[i] = random.nextInt(256);
+    }
+    return bytes;
+}
+
+/**
+ * One of each packet kind the protocol sends, for one checksum algorithm
+ * 
+ * @param {string} checksumType - 'sum8', 'internet' or 'crc32'
+ * @returns {Packet[]} Packets
+ */
+function samplePackets(checksumType) {
+    return [
+        new Packet(0, randomBytes(1), 0, 7, checksumType),
+        new Packet(1, randomBytes(37), 0, 7, checksumType),
+        new Packet(12345, randomBytes(Packet.MAX_DATA_SIZE), 0, 0xFFFFFFFF, checksumType),
+        new Packet(0, null, Packet.FLAG_ACK, 7, checksumType),
+        new Packet(1, null, Packet.FLAG_NAK, 7, checksumType),
+        new Packet(0, null, Packet.FLAG_SYN, 42, checksumType),
+        new Packet(0, null, Packet.FLAG_SYN | Packet.FLAG_ACK, 42, checksumType),
+        new Packet(5, null, Packet.FLAG_FIN | Packet.FLAG_ACK, 42, checksumType),
+        new Packet(0, null, Packet.FLAG_RST, 42, checksumType)
+    ];
+}
+
+/**
+ * Parse a datagram that may be malformed
+ * Anything thrown must be a PacketError with a known code; anything
+ * accepted must serialize back to exactly the same bytes.
+ * 
+ * @param {Uint8Array} bytes - Datagram
+ * @returns {Packet|PacketError} The packet, or the error it was rejected with
+ */
+function parseUntrusted(bytes) {
+    let packet;
+    try {
+        packet = Packet.fromByteArray(bytes);
+    } catch (e) {
+        assert.ok(e instanceof PacketError, `${bytes.length}-byte datagram threw ${e.name}: ${e.message}`);
+        assert.ok(ERROR_CODES.includes(e.code), `Unknown error code: ${e.code}`);
+        return e;
+    }
+    assert.deepStrictEqual(packet.toByteArray(), bytes);
+    return packet;
+}
+
+/**
+ * Copy of a datagram with its length field overwritten
+ * 
+ * @param {Uint8Array} bytes - Datagram
+ * @param {number} len - New length field
+ * @returns {Uint8Array} Modified copy
+ */
+function withLength(bytes, len) {
+    const copy = bytes.slice();
+    new DataView(copy.buffer).setUint16(4, len, false);
+    return copy;
+}
+
+describe('Packet round trip', () => {
+    for (const checksumType of CHECKSUM_TYPES) {
+        it(`parses every packet kind back unchanged (${checksumType})`, () => {
+            for (const packet of samplePackets(checksumType)) {
+                const bytes = packet.toByteArray();
+                const parsed = Packet.fromByteArray(bytes);
+
+                assert.strictEqual(parsed.getType(), packet.getType());
+                assert.strictEqual(parsed.seqno, packet.seqno);
+                assert.strictEqual(parsed.sessionId, packet.sessionId);
+                assert.strictEqual(parsed.checksumType, checksumType);
+                assert.strictEqual(parsed.len, bytes.length);
+                assert.strictEqual(parsed.cksum, packet.cksum);
+                assert.deepStrictEqual(parsed.data, packet.data);
+                assert.ok(parsed.verifyChecksum());
+                assert.deepStrictEqual(parsed.toByteArray(), bytes);
+            }
+        });
+
+        it(`rejects every single-bit error (${checksumType})`, () => {
+            const bytes = new Packet(1, randomBytes(24), 0, 7, checksumType).toByteArray();
+
+            for (let bit = 0; bit < bytes.length * 8; bit++) {
+                const copy = bytes.slice();
+                copy[bit >> 3] ^= 1 << (bit & 7);
+                assert.ok(parseUntrusted(copy) instanceof PacketError, `bit ${bit} flipped but the packet was accepted`);
+            }
+        });
+    }
+});
+
+describe('Packet.fromByteArray with malformed datagrams', () => {
+    const valid = new Packet(1, randomBytes(20), 0, 7).toByteArray();
+
+    it('rejects datagrams shorter than the header as truncated', () => {
+        for (let length = 0; length < Packet.HEADER_SIZE; length++) {
+            assert.throws(() => Packet.fromByteArray(valid.slice(0, length)), TruncatedPacketError);
+        }
+    });
+
+    it('rejects datagrams larger than MAX_PACKET_SIZE as oversize', () => {
+        for (const length of [Packet.MAX_PACKET_SIZE + 1, 2048, 65536]) {
+            assert.throws(() => Packet.fromByteArray(randomBytes(length)), OversizePacketError);
+        }
+    });
+
+    it('rejects a length field below the header size', () => {
+        for (const len of [0, 1, Packet.HEADER_SIZE - 1]) {
+            assert.throws(() => Packet.fromByteArray(withLength(valid, len)), BadLengthError);
+        }
+    });
+
+    it('rejects a length field above MAX_PACKET_SIZE', () => {
+        for (const len of [Packet.MAX_PACKET_SIZE + 1, 0xFFFF]) {
+            assert.throws(() => Packet.fromByteArray(withLength(valid, len)), BadLengthError);
+        }
+    });
+
+    it('rejects a length field above the datagram size as truncated', () => {
+        for (const len of [valid.length + 1, Packet.MAX_PACKET_SIZE]) {
+            assert.throws(() => Packet.fromByteArray(withLength(valid, len)), TruncatedPacketError);
+        }
+        assert.throws(() => Packet.fromByteArray(valid.slice(0, valid.length - 1)), TruncatedPacketError);
+    });
+
+    it('rejects trailing bytes after the declared length', () => {
+        for (const extra of [1, 16, 100]) {
+            const padded = new Uint8Array(valid.length + extra);
+            padded.set(valid);
+            assert.throws(() => Packet.fromByteArray(padded), BadLengthError);
+        }
+    });
+
+    it('rejects an unknown checksum algorithm', () => {
+        const copy = valid.slice();
+        copy[7] = 0xFF;
+        assert.throws(() => Packet.fromByteArray(copy), BadChecksumError);
+    });
+
+    it('attaches the parsed packet to a checksum mismatch', () => {
+        const copy = valid.slice();
+        copy[copy.length - 1] ^= 0x01;
+        assert.throws(() => Packet.fromByteArray(copy), (e) => {
+            assert.ok(e instanceof BadChecksumError);
+            assert.strictEqual(e.code, 'bad-checksum');
+            assert.strictEqual(e.packet.seqno, 1);
+            assert.strictEqual(e.packet.sessionId, 7);
+            return true;
+        });
+    });
+
+    it('parses a datagram that is a view into a larger buffer', () => {
+        const buffer = new Uint8Array(valid.length + 10);
+        buffer.set(valid, 5);
+        const parsed = Packet.fromByteArray(buffer.subarray(5, 5 + valid.length));
+        assert.deepStrictEqual(parsed.toByteArray(), valid);
+    });
+});
+
+describe('Packet.fromByteArray fuzzing', () => {
+    it('throws only PacketErrors for random bytes', () => {
+        for (let i = 0; i < 2000; i++) {
+            parseUntrusted(randomBytes(random.nextInt(Packet.MAX_PACKET_SIZE + 40)));
+        }
+    });
+
+    it('throws only PacketErrors for random bytes with a consistent length field', () => {
+        for (let i = 0; i < 2000; i++) {
+            const length = Packet.HEADER_SIZE + random.nextInt(Packet.MAX_DATA_SIZE + 1);
+            parseUntrusted(withLength(randomBytes(length), length));
+        }
+    });
+
+    for (const checksumType of CHECKSUM_TYPES) {
+        it(`throws only PacketErrors for mutated valid packets (${checksumType})`, () => {
+            const packets = samplePackets(checksumType).map(packet => packet.toByteArray());
+
+            for (let i = 0; i < 1000; i++) {
+                let bytes = packets[random.nextInt(packets.length)].slice();
+
+                switch (random.nextInt(4)) {
+                    case 0:
+                        // Flip a few random bits, as the Pipe's corruption does
+                        for (let flips = 1 + random.nextInt(3); flips > 0; flips--) {
+                            bytes[random.nextInt(bytes.length)] ^= 1 << random.nextInt(8);
+                        }
+                        break;
+                    case 1:
+                        // Cut it short, as the Pipe's truncation does
+                        bytes = bytes.slice(0, random.nextInt(bytes.length));
+                        break;
+                    case 2:
+                        // Append trailing bytes
+                        bytes = Uint8Array.from([...bytes, ...randomBytes(1 + random.nextInt(40))]);
+                        break;
+                    default:
+                        // Overwrite a random header field byte
+                        bytes[random.nextInt(Packet.HEADER_SIZE)] = random.nextInt(256);
+                }
+
+                parseUntrusted(bytes);
+            }
+        });
+    }
+});
@@ -2,9 +2,18 @@
  * Pipe Class - Network Simulator
  * 
  * Simulates real-world network conditions:
- * - Packet loss (random drops)
- * - Packet corruption (bit errors)
- * - Transmission delay (latency)
+ * - Packet loss (independent random drops, or bursts using a
+ *   two-state Gilbert-Elliott channel)
+ * - Packet corruption (bit flips in the serialized bytes)
+ * - Truncation (datagram cut short)
+ * - Duplication (datagram delivered twice)
+ * - Reordering (datagram held back behind later ones)
+ * - Transmission delay (latency) with optional random jitter
+ * - Link bandwidth (serialization time) behind a bounded FIFO queue
+ * - Scripted faults for chosen packets (see FaultScenario.js)
+ * 
+ * Every random decision comes from a seeded generator, so a run can be
+ * replayed by passing the seed it printed at startup.
  * 
  * Used to test RDT protocol reliability in various scenarios.
  * 
@@ -12,6 +21,18 @@
  * @version 1.0
  */
 
+// Random.js defines SeededRandom as a global in the browser; Node.js loads the module
+const PipeRandom = typeof SeededRandom !== 'undefined' ? SeededRandom : require('./Random');
+
+// Likewise VirtualClock.js defines WALL_CLOCK, the default clock
+const PipeWallClock = typeof WALL_CLOCK !== 'undefined' ? WALL_CLOCK : require('./VirtualClock').WALL_CLOCK;
+
+// Loss models selectable through options.lossModel
+const LOSS_MODELS = ['bernoulli', 'gilbert-elliott'];
+
+// Jitter distributions selectable through options.jitterDistribution
+const JITTER_DISTRIBUTIONS = ['uniform', 'normal', 'exponential'];
+
 class Pipe {
     /**
      * Constructor - Initialize network simulator with conditions
@@ -19,14 +40,77 @@ class Pipe {
      * @param {number} lossRate - Probability of packet loss (0.0 to 1.0)
      * @param {number} corruptionRate - Probability of corruption (0.0 to 1.0)
      * @param {number} delay - Transmission delay in milliseconds
+     * @param {Object} options - Additional impairments, all off by default
+     * @param {number} options.truncationRate - Probability a datagram is cut short (0.0 to 1.0)
+     * @param {number} options.duplicationRate - Probability a datagram is delivered twice (0.0 to 1.0)
+     * @param {number} options.reorderRate - Probability a datagram is held back (0.0 to 1.0)
+     * @param {string} options.lossModel - 'bernoulli' (default, uses lossRate) or 'gilbert-elliott'
+     * @param {number} options.goodLossRate - Gilbert-Elliott loss probability in the good state (default: 0)
+     * @param {number} options.badLossRate - Gilbert-Elliott loss probability in the bad state (default: 1)
+     * @param {number} options.goodToBadRate - Per-packet probability of entering the bad state (default: 0)
+     * @param {number} options.badToGoodRate - Per-packet probability of leaving the bad state (default: 1)
+     * @param {number} options.bandwidth - Link rate in bits per second (default: 0, unlimited)
+     * @param {number} options.jitter - Jitter scale in milliseconds (default: 0)
+     * @param {string} options.jitterDistribution - 'uniform' (default), 'normal' or 'exponential'
+     * @param {number} options.queueSize - Packets the link buffer holds before tail-dropping (default: 0, unlimited)
+     * @param {number} options.seed - Seed for the random generator (default: picked at random)
+     * @param {SeededRandom} options.random - Existing generator to share instead of seeding a new one
+     * @param {FaultScenario} options.scenario - Scripted faults applied on top of the random ones (default: none)
+     * @param {Object} options.clock - Time source with now(), setTimeout() and clearTimeout(), e.g. a VirtualClock (default: real time)
      * 
      * @throws {Error} If parameters are out of valid range
      */
-    constructor(lossRate = 0.0, corruptionRate = 0.0, delay = 0) {
+    constructor(lossRate = 0.0, corruptionRate = 0.0, delay = 0, options = {}) {
+        // Seeded source for every random decision
+        this.random = options.random || new PipeRandom(options.seed ?? PipeRandom.generateSeed());
+
+        // Every delay is measured on this clock, so a debugger can pause or step it
+        this.clock = options.clock || PipeWallClock;
+
         // Validate and clamp input parameters
         this.lossRate = this._validateRate(lossRate, 'Loss rate');
         this.corruptionRate = this._validateRate(corruptionRate, 'Corruption rate');
         this.delay = this._validateDelay(delay);
+        this.truncationRate = this._validateRate(options.truncationRate || 0, 'Truncation rate');
+        this.duplicationRate = this._validateRate(options.duplicationRate || 0, 'Duplication rate');
+        this.reorderRate = this._validateRate(options.reorderRate || 0, 'Reorder rate');
+
+        // Gilbert-Elliott burst-loss channel
+        this.lossModel = this._validateChoice(options.lossModel || 'bernoulli', LOSS_MODELS, 'loss model');
+        this.goodLossRate = this._validateRate(options.goodLossRate ?? 0, 'Good state loss rate');
+        this.badLossRate = this._validateRate(options.badLossRate ?? 1, 'Bad state loss rate');
+        this.goodToBadRate = this._validateRate(options.goodToBadRate ?? 0, 'Good to bad rate');
+        this.badToGoodRate = this._validateRate(options.badToGoodRate ?? 1, 'Bad to good rate');
+        this.channelState = 'good';
+
+        // Link model: packets are serialized one at a time at the link rate
+        this.bandwidth = this._validateNonNegative(options.bandwidth || 0, 'Bandwidth');
+        this.jitter = this._validateNonNegative(options.jitter || 0, 'Jitter');
+        this.jitterDistribution = this._validateChoice(options.jitterDistribution || 'uniform',
+            JITTER_DISTRIBUTIONS, 'jitter distribution');
+        this.queueSize = this._validateNonNegative(options.queueSize || 0, 'Queue size');
+        this.queue = [];
+        this.linkFreeAt = 0;
+        this.lastArrival = 0;
+
+        // A held-back datagram is released behind the next one to pass,
+        // or after this long if nothing else is sent
+        this.maxHoldTime = 200;
+        this.held = [];
+
+        // Scripted faults for chosen packets
+        this.scenario = options.scenario || null;
+
+        // Impairment statistics
+        this.packetsSent = 0;
+        this.packetsDropped = 0;
+        this.packetsCorrupted = 0;
+        this.packetsTruncated = 0;
+        this.packetsDuplicated = 0;
+        this.packetsReordered = 0;
+        this.packetsQueueDropped = 0;
+        this.packetsUndetected = 0;   // Damaged packets whose checksum still passes
+        this.packetsScripted = 0;     // Packets hit by a scenario rule
     }
 
     /**
@@ -44,6 +128,23 @@ class Pipe {
         return Math.max(0, Math.min(1, rate));
     }
 
+    /**
+     * Validate a setting that takes one of a fixed set of names
+     * 
+     * @private
+     * @param {string} value - Name to validate
+     * @param {string[]} allowed - Accepted names
+     * @param {string} name - Parameter name for error messages
+     * @returns {string} The name
+     * @throws {Error} If the name is not accepted
+     */
+    _validateChoice(value, allowed, name) {
+        if (!allowed.includes(value)) {
+            throw new Error(`Unknown ${name}: ${value}`);
+        }
+        return value;
+    }
+
     /**
      * Validate delay is non-negative
      * 
@@ -58,36 +159,288 @@ class Pipe {
         return Math.max(0, delay);
     }
 
+    /**
+     * Validate a link setting is non-negative
+     * 
+     * @private
+     * @param {number} value - Value to validate
+     * @param {string} name - Parameter name for error messages
+     * @returns {number} Non-negative value
+     */
+    _validateNonNegative(value, name) {
+        if (typeof value !== 'number' || value < 0) {
+            console.warn(`${name} must be non-negative`);
+        }
+        return Math.max(0, value);
+    }
+
     /**
      * Simulate sending packet through network
-     * Applies loss, corruption, and delay realistically
+     * Queues the packet on the link, waits for it to be serialized and
+     * propagated, then applies loss, bit corruption, truncation,
+     * duplication and reordering to the bytes on the wire.
+     * Scenario rules for the packet are applied together with the random
+     * impairments; a scripted delay comes on top of the link delay.
+     * A held-back packet resolves only after a later packet has passed.
      * 
      * @async
      * @param {Packet} packet - Packet to transmit
-     * @returns {Promise<Packet|null>} Packet if successful, null if lost
+     * @returns {Promise<Uint8Array[]>} Datagrams to deliver, in order (empty if lost)
      */
     async send(packet) {
-        // Simulate transmission delay (latency)
-        if (this.delay > 0) {
-            await this.sleep(this.delay);
+        this.packetsSent++;
+
+        // Rules are matched as the packet enters, so they count packets in send order
+        const faults = this.scriptedFaults(packet);
+
+        // Tail-drop when the link buffer is full
+        const arrival = this.schedule(packet);
+        if (arrival === null) {
+            console.log(`[PIPE] Packet ${packet.seqno} DROPPED - queue full`);
+            this.packetsQueueDropped++;
+            return [];
+        }
+
+        // Simulate transmission and propagation delay (latency)
+        const wait = arrival - this.clock.now() + faults.delay;
+        if (wait > 0) {
+            await this.sleep(wait, `${packet.getType()} ${packet.seqno} in flight`);
         }
 
-        // Simulate packet loss
-        if (Math.random() < this.lossRate) {
+        // Simulate packet loss (the random draw is made either way, so a
+        // scenario does not shift the random decisions that follow)
+        if (this.isLost() || faults.drop) {
             console.log(`[PIPE] Packet ${packet.seqno} LOST`);
-            return null;
+            this.packetsDropped++;
+            return [];
         }
 
-        // Simulate bit corruption
-        if (Math.random() < this.corruptionRate) {
+        const original = packet.toByteArray();
+        let bytes = original;
+
+        // Simulate bit errors anywhere in the header or payload
+        if (this.random.next() < this.corruptionRate || faults.corrupt) {
             console.log(`[PIPE] Packet ${packet.seqno} CORRUPTED`);
-            // Corrupt the checksum to simulate bit flip
-            packet.cksum = Math.floor(Math.random() * 256);
-            return packet;
+            this.packetsCorrupted++;
+            bytes = this.flipBits(bytes);
+        }
+
+        // Simulate a datagram cut short in transit
+        if (this.random.next() < this.truncationRate) {
+            const length = this.random.nextInt(bytes.length);
+            console.log(`[PIPE] Packet ${packet.seqno} TRUNCATED to ${length} bytes`);
+            this.packetsTruncated++;
+            bytes = bytes.slice(0, length);
+        }
+
+        // The Pipe knows what it damaged, so it can tell when the checksum misses it
+        if (bytes !== original && this.passesChecksum(packet, bytes, original)) {
+            console.log(`[PIPE] Packet ${packet.seqno} damage NOT DETECTED by ${packet.checksumType} checksum`);
+            this.packetsUndetected++;
+        }
+
+        const datagrams = [bytes];
+
+        // Simulate a duplicate copy arriving right behind the original
+        if (this.random.next() < this.duplicationRate || faults.duplicate) {
+            console.log(`[PIPE] Packet ${packet.seqno} DUPLICATED`);
+            this.packetsDuplicated++;
+            datagrams.push(bytes.slice());
+        }
+
+        // Simulate reordering by holding this packet back
+        if (this.random.next() < this.reorderRate) {
+            console.log(`[PIPE] Packet ${packet.seqno} HELD BACK`);
+            this.packetsReordered++;
+            return this.holdBack(datagrams);
+        }
+
+        // Anything held back so far now arrives after this packet
+        this.releaseHeld();
+
+        return datagrams;
+    }
+
+    /**
+     * Match a packet against the scenario, if there is one
+     * 
+     * @private
+     * @param {Packet} packet - Packet entering the Pipe
+     * @returns {Object} { drop, corrupt, duplicate, delay, rules } as from FaultScenario.match()
+     */
+    scriptedFaults(packet) {
+        if (!this.scenario) {
+            return { drop: false, corrupt: false, duplicate: false, delay: 0, rules: [] };
         }
 
-        // Packet successfully transmitted
-        return packet;
+        const faults = this.scenario.match(packet);
+        if (faults.rules.length > 0) {
+            console.log(`[PIPE] ${packet.getType()} ${packet.seqno} hit by scenario rule: ${faults.rules.join(', ')}`);
+            this.packetsScripted++;
+        }
+        return faults;
+    }
+
+    /**
+     * Place a packet in the link's FIFO queue and work out when it arrives
+     * The packet departs once every packet ahead of it has been serialized
+     * and its own L/R transmission time has passed. It then arrives after
+     * the propagation delay plus jitter, but never before the packet ahead.
+     * 
+     * @private
+     * @param {Packet} packet - Packet to queue
+     * @returns {number|null} Arrival time in ms since the epoch, or null if the queue is full
+     */
+    schedule(packet) {
+        const now = this.clock.now();
+
+        // Packets that have finished serializing have left the buffer
+        while (this.queue.length > 0 && this.queue[0] <= now) {
+            this.queue.shift();
+        }
+
+        if (this.queueSize > 0 && this.queue.length >= this.queueSize) {
+            return null;
+        }
+
+        const transmissionTime = this.bandwidth > 0 ? (packet.getSize() * 8 * 1000) / this.bandwidth : 0;
+        const departure = Math.max(now, this.linkFreeAt) + transmissionTime;
+        this.linkFreeAt = departure;
+        this.queue.push(departure);
+
+        const propagation = Math.max(0, this.delay + this.sampleJitter());
+        const arrival = Math.max(departure + propagation, this.lastArrival);
+        this.lastArrival = arrival;
+
+        return arrival;
+    }
+
+    /**
+     * Draw a random jitter offset for one packet
+     * Uniform spreads evenly over +/- jitter, normal uses jitter as the
+     * standard deviation, exponential adds a positive delay with mean jitter.
+     * 
+     * @private
+     * @returns {number} Offset in milliseconds added to the propagation delay
+     */
+    sampleJitter() {
+        if (this.jitter === 0) {
+            return 0;
+        }
+
+        switch (this.jitterDistribution) {
+            case 'normal': {
+                // Box-Muller transform
+                const u1 = 1 - this.random.next();
+                const u2 = this.random.next();
+                return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2) * this.jitter;
+            }
+            case 'exponential':
+                return -Math.log(1 - this.random.next()) * this.jitter;
+            default:
+                return (this.random.next() * 2 - 1) * this.jitter;
+        }
+    }
+
+    /**
+     * Decide whether the current packet is lost
+     * Under Gilbert-Elliott the channel first moves between its good and
+     * bad states, then drops the packet with that state's loss rate.
+     * 
+     * @private
+     * @returns {boolean} True if the packet should be dropped
+     */
+    isLost() {
+        if (this.lossModel === 'bernoulli') {
+            return this.random.next() < this.lossRate;
+        }
+
+        if (this.channelState === 'good' && this.random.next() < this.goodToBadRate) {
+            this.channelState = 'bad';
+            console.log('[PIPE] Channel entered BAD state');
+        } else if (this.channelState === 'bad' && this.random.next() < this.badToGoodRate) {
+            this.channelState = 'good';
+            console.log('[PIPE] Channel returned to GOOD state');
+        }
+
+        const rate = this.channelState === 'bad' ? this.badLossRate : this.goodLossRate;
+        return this.random.next() < rate;
+    }
+
+    /**
+     * Check whether damaged bytes would still be accepted by the receiver
+     * 
+     * @private
+     * @param {Packet} packet - Packet that was sent (used to parse the bytes)
+     * @param {Uint8Array} bytes - Bytes after corruption or truncation
+     * @param {Uint8Array} original - Bytes before any damage
+     * @returns {boolean} True if the bytes differ but still parse with a valid checksum
+     */
+    passesChecksum(packet, bytes, original) {
+        if (bytes.length === original.length && bytes.every((byte, i) => byte === original[i])) {
+            return false;
+        }
+
+        // fromByteArray() rejects anything malformed or failing its checksum
+        try {
+            packet.constructor.fromByteArray(bytes);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Flip between one and three random bits
+     * 
+     * @private
+     * @param {Uint8Array} bytes - Serialized packet
+     * @returns {Uint8Array} Corrupted copy
+     */
+    flipBits(bytes) {
+        const corrupted = bytes.slice();
+        const flips = 1 + this.random.nextInt(3);
+
+        for (let i = 0; i < flips; i++) {
+            const bit = this.random.nextInt(corrupted.length * 8);
+            corrupted[bit >> 3] ^= (1 << (bit & 7));
+        }
+
+        return corrupted;
+    }
+
+    /**
+     * Hold datagrams back until a later packet passes or the hold time runs out
+     * 
+     * @private
+     * @param {Uint8Array[]} datagrams - Datagrams to delay
+     * @returns {Promise<Uint8Array[]>} Resolves with the datagrams when released
+     */
+    holdBack(datagrams) {
+        return new Promise(resolve => {
+            const entry = { datagrams, resolve };
+            entry.timer = this.clock.setTimeout(() => {
+                this.held.splice(this.held.indexOf(entry), 1);
+                resolve(datagrams);
+            }, this.maxHoldTime, 'Held-back packet', 'packet');
+            this.held.push(entry);
+        });
+    }
+
+    /**
+     * Release every held-back packet
+     * They resolve on the next tick so the packet that overtook them is
+     * delivered first.
+     * 
+     * @private
+     */
+    releaseHeld() {
+        const released = this.held.splice(0);
+
+        for (const entry of released) {
+            this.clock.clearTimeout(entry.timer);
+            this.clock.setTimeout(() => entry.resolve(entry.datagrams), 0, 'Released packet', 'packet');
+        }
     }
 
     /**
@@ -109,10 +462,11 @@ class Pipe {
      * 
      * @private
      * @param {number} ms - Milliseconds to sleep
+     * @param {string} label - What is waiting, for debugger displays
      * @returns {Promise<void>}
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    sleep(ms, label) {
+        return new Promise(resolve => this.clock.setTimeout(resolve, ms, label, 'packet'));
     }
 
     /**
@@ -124,19 +478,66 @@ class Pipe {
         return {
             lossRate: this.lossRate,
             corruptionRate: this.corruptionRate,
-            delay: this.delay
+            delay: this.delay,
+            truncationRate: this.truncationRate,
+            duplicationRate: this.duplicationRate,
+            reorderRate: this.reorderRate,
+            bandwidth: this.bandwidth,
+            jitter: this.jitter,
+            jitterDistribution: this.jitterDistribution,
+            queueSize: this.queueSize,
+            lossModel: this.lossModel,
+            goodLossRate: this.goodLossRate,
+            badLossRate: this.badLossRate,
+            goodToBadRate: this.goodToBadRate,
+            badToGoodRate: this.badToGoodRate,
+            scenario: this.scenario,
+            seed: this.random.seed
+        };
+    }
+
+    /**
+     * Get counts of the impairments injected so far
+     * 
+     * @returns {Object} Statistics object with a count per impairment
+     */
+    getStats() {
+        return {
+            sent: this.packetsSent,
+            dropped: this.packetsDropped,
+            corrupted: this.packetsCorrupted,
+            truncated: this.packetsTruncated,
+            duplicated: this.packetsDuplicated,
+            reordered: this.packetsReordered,
+            queueDropped: this.packetsQueueDropped,
+            undetected: this.packetsUndetected,
+            scripted: this.packetsScripted
         };
     }
 
     /**
      * Update network conditions dynamically
      * 
-     * @param {Object} config - Configuration object with lossRate, corruptionRate, delay
+     * @param {Object} config - Configuration object with any of the keys returned by getConfig()
      */
     updateConfig(config) {
         if (config.lossRate !== undefined) this.lossRate = this._validateRate(config.lossRate, 'Loss rate');
         if (config.corruptionRate !== undefined) this.corruptionRate = this._validateRate(config.corruptionRate, 'Corruption rate');
         if (config.delay !== undefined) this.delay = this._validateDelay(config.delay);
+        if (config.truncationRate !== undefined) this.truncationRate = this._validateRate(config.truncationRate, 'Truncation rate');
+        if (config.duplicationRate !== undefined) this.duplicationRate = this._validateRate(config.duplicationRate, 'Duplication rate');
+        if (config.reorderRate !== undefined) this.reorderRate = this._validateRate(config.reorderRate, 'Reorder rate');
+        if (config.bandwidth !== undefined) this.bandwidth = this._validateNonNegative(config.bandwidth, 'Bandwidth');
+        if (config.jitter !== undefined) this.jitter = this._validateNonNegative(config.jitter, 'Jitter');
+        if (config.jitterDistribution !== undefined) this.jitterDistribution = this._validateChoice(config.jitterDistribution, JITTER_DISTRIBUTIONS, 'jitter distribution');
+        if (config.queueSize !== undefined) this.queueSize = this._validateNonNegative(config.queueSize, 'Queue size');
+        if (config.lossModel !== undefined) this.lossModel = this._validateChoice(config.lossModel, LOSS_MODELS, 'loss model');
+        if (config.goodLossRate !== undefined) this.goodLossRate = this._validateRate(config.goodLossRate, 'Good state loss rate');
+        if (config.badLossRate !== undefined) this.badLossRate = this._validateRate(config.badLossRate, 'Bad state loss rate');
+        if (config.goodToBadRate !== undefined) this.goodToBadRate = this._validateRate(config.goodToBadRate, 'Good to bad rate');
+        if (config.badToGoodRate !== undefined) this.badToGoodRate = this._validateRate(config.badToGoodRate, 'Bad to good rate');
+        if (config.scenario !== undefined) this.scenario = config.scenario;
+        if (config.seed !== undefined) this.random.reseed(config.seed);
     }
 
     /**
@@ -145,6 +546,23 @@ class Pipe {
      * @returns {string} Human-readable network statistics
      */
     toString() {
-        return `Pipe [loss=${(this.lossRate * 100).toFixed(1)}%, corruption=${(this.corruptionRate * 100).toFixed(1)}%, delay=${this.delay}ms]`;
+        const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+        const loss = this.lossModel === 'bernoulli'
+            ? percent(this.lossRate)
+            : `gilbert-elliott(state=${this.channelState.toUpperCase()}, ` +
+              `good=${percent(this.goodLossRate)}, bad=${percent(this.badLossRate)}, ` +
+              `good->bad=${percent(this.goodToBadRate)}, bad->good=${percent(this.badToGoodRate)})`;
+        return `Pipe [loss=${loss}, corruption=${percent(this.corruptionRate)}, ` +
+               `truncation=${percent(this.truncationRate)}, duplication=${percent(this.duplicationRate)}, ` +
+               `reorder=${percent(this.reorderRate)}, delay=${this.delay}ms, ` +
+               `jitter=${this.jitter}ms ${this.jitterDistribution}, ` +
+               `bandwidth=${this.bandwidth > 0 ? `${this.bandwidth}bps` : 'unlimited'}, ` +
+               `queue=${this.queueSize > 0 ? this.queueSize : 'unlimited'}, ` +
+               `scenario=${this.scenario ? this.scenario.name : 'none'}, seed=${this.random.seed}]`;
     }
 }
+
+// Export for Node.js (Sender/Receiver); in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pipe;
+}
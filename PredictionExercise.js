@@ -0,0 +1,236 @@
+/**
+ * PredictionExercise Class - Questions and scoring for the exercise mode
+ * 
+ * Before the simulator runs certain protocol steps (a new packet is
+ * sent, a data packet reaches the receiver, the retransmission timer
+ * expires) it asks the learner what will happen. The step then runs as
+ * usual and the answer is checked against the events it recorded, so
+ * the real state machine decides what is right, not a copy of its rules.
+ * 
+ * Each step has a few questions, asked in turn, and every question
+ * belongs to a topic so the results can be summarized per topic.
+ * 
+ * @author Zshah2
+ * @version 1.0
+ */
+
+// Questions per protocol step; `answer` reads the truth from the step's events (null if it cannot tell)
+const PREDICTION_POINTS = {
+    send: {
+        detail: () => 'The application passes new data down to the sender.',
+        questions: [
+            {
+                topic: 'Sequence numbers',
+                prompt: 'Which sequence number does the sender put on the packet?',
+                options: () => ['0', '1'],
+                answer: (events) => {
+                    const send = events.find(event => event.type === 'send');
+                    return send ? String(send.info.seqNum) : null;
+                },
+                why: (events) => {
+                    const seqno = events.find(event => event.type === 'send').info.seqNum;
+                    return `The sender was in "Wait for call ${seqno}". Sequence numbers alternate between 0 and 1, moving on with every ACK.`;
+                }
+            },
+            {
+                topic: 'Sender states',
+                prompt: 'Which state is the sender in once the packet is sent?',
+                options: () => ['Wait for call 0', 'Wait for ACK 0', 'Wait for call 1', 'Wait for ACK 1'],
+                answer: events => PredictionExercise.finalState(events, 'sender'),
+                why: events => `After udt_send the sender starts its timer and waits: "${PredictionExercise.finalState(events, 'sender')}".`
+            }
+        ]
+    },
+
+    receive: {
+        detail: context => (context.corrupted
+            ? `A data packet arrives, but its checksum does not match. The receiver is in "${context.receiverState}".`
+            : `A data packet with seq ${context.seqno} arrives intact. The receiver is in "${context.receiverState}".`),
+        questions: [
+            {
+                topic: 'Acknowledgements',
+                prompt: 'What does the receiver send back?',
+                options: () => ['ACK 0', 'ACK 1', 'NAK'],
+                answer: (events) => {
+                    const respond = events.find(event => event.type === 'respond');
+                    if (!respond) return null;
+                    return respond.label.startsWith('NAK') ? 'NAK' : respond.label;
+                },
+                why: events => PredictionExercise.describeArrival(events)
+            },
+            {
+                topic: 'Receiver states',
+                prompt: 'Which state is the receiver in afterwards?',
+                options: () => ['Wait for 0 from below', 'Wait for 1 from below'],
+                answer: events => PredictionExercise.finalState(events, 'receiver'),
+                why: events => PredictionExercise.describeArrival(events)
+            },
+            {
+                topic: 'Duplicate detection',
+                prompt: 'Does the receiver pass the data up to the application?',
+                options: () => ['Yes', 'No'],
+                answer: events => (events.length > 0 ? (events.some(event => event.type === 'deliver') ? 'Yes' : 'No') : null),
+                why: events => PredictionExercise.describeArrival(events)
+            }
+        ]
+    },
+
+    timeout: {
+        detail: context => `The timer for packet ${context.seqno} expires before its ACK arrives (attempt ${context.attempts} of ${context.maxRetries}).`,
+        questions: [
+            {
+                topic: 'Retransmission',
+                prompt: 'What does the sender do?',
+                options: context => [`Retransmit packet ${context.seqno}`, `Give up on packet ${context.seqno}`, 'Send the next packet'],
+                answer: (events, context) => {
+                    if (events.some(event => event.type === 'retransmit')) return `Retransmit packet ${context.seqno}`;
+                    if (events.some(event => event.type === 'give-up')) return `Give up on packet ${context.seqno}`;
+                    return null;
+                },
+                why: (events, context) => (events.some(event => event.type === 'give-up')
+                    ? `Packet ${context.seqno} has used all ${context.maxRetries} attempts, so the sender gives up on it.`
+                    : `No ACK arrived in time, so the sender resends packet ${context.seqno} and restarts its timer.`)
+            },
+            {
+                topic: 'Sender states',
+                prompt: 'Which state is the sender in after the timeout?',
+                options: context => [`Wait for ACK ${context.seqno}`, `Wait for call ${context.seqno}`, `Wait for call ${1 - context.seqno}`],
+                answer: events => PredictionExercise.finalState(events, 'sender'),
+                why: (events, context) => (events.some(event => event.type === 'give-up')
+                    ? `Giving up returns the sender to "Wait for call ${context.seqno}" without moving on to the next sequence number.`
+                    : `Resending does not change the state: the sender keeps waiting for ACK ${context.seqno}.`)
+            }
+        ]
+    }
+};
+
+class PredictionExercise {
+    /**
+     * Constructor - Start with an empty score
+     */
+    constructor() {
+        // Questions asked so far per step, to take turns through each step's questions
+        this.asked = Object.fromEntries(Object.keys(PREDICTION_POINTS).map(point => [point, 0]));
+
+        // Topic -> { asked, correct }
+        this.topics = new Map();
+        this.history = [];
+    }
+
+    /**
+     * Pick the next question for a protocol step
+     * 
+     * @param {string} point - 'send', 'receive' or 'timeout'
+     * @param {Object} context - What the learner may know before the step, e.g. { seqno, corrupted, receiverState }
+     * @returns {Object} { point, topic, prompt, detail, options, context }
+     * @throws {Error} If the step is unknown
+     */
+    ask(point, context = {}) {
+        const step = PREDICTION_POINTS[point];
+        if (!step) {
+            throw new Error(`Unknown exercise step: ${point}`);
+        }
+
+        const template = step.questions[this.asked[point]++ % step.questions.length];
+        return {
+            point: point,
+            topic: template.topic,
+            prompt: template.prompt,
+            detail: step.detail(context),
+            options: template.options(context),
+            context: context,
+            template: template
+        };
+    }
+
+    /**
+     * Check an answer against what the step actually did, and count it
+     * 
+     * @param {Object} question - Question from ask()
+     * @param {string} choice - The learner's answer, one of question.options
+     * @param {Object[]} events - Session events the step recorded
+     * @returns {Object|null} { correct, answer, reason }, or null if the events do not settle the question (not counted)
+     */
+    grade(question, choice, events) {
+        const answer = question.template.answer(events, question.context);
+        if (answer === null) return null;
+
+        const correct = choice === answer;
+        const topic = this.topics.get(question.topic) || { asked: 0, correct: 0 };
+        topic.asked++;
+        if (correct) topic.correct++;
+        this.topics.set(question.topic, topic);
+        this.history.push({ topic: question.topic, prompt: question.prompt, choice: choice, answer: answer, correct: correct });
+
+        return {
+            correct: correct,
+            answer: answer,
+            reason: question.template.why(events, question.context)
+        };
+    }
+
+    /**
+     * Overall score
+     * 
+     * @returns {Object} { asked, correct }
+     */
+    getScore() {
+        return {
+            asked: this.history.length,
+            correct: this.history.filter(entry => entry.correct).length
+        };
+    }
+
+    /**
+     * Results per topic, in the order the topics first came up
+     * 
+     * @returns {Object[]} { topic, asked, correct } for each topic
+     */
+    getSummary() {
+        return [...this.topics].map(([topic, result]) => ({ topic, asked: result.asked, correct: result.correct }));
+    }
+
+    /**
+     * What the receiver did with a data packet, from the events its step recorded
+     * 
+     * @static
+     * @private
+     * @param {Object[]} events - Session events of the receiver step
+     * @returns {string} Explanation
+     */
+    static describeArrival(events) {
+        const deliver = events.find(event => event.type === 'deliver');
+        const duplicate = events.find(event => event.type === 'duplicate');
+
+        if (deliver) {
+            return `Seq ${deliver.seqno} is the one the receiver was waiting for, so it delivers the data, ACKs it and moves on to wait for ${1 - deliver.seqno}.`;
+        }
+        if (duplicate) {
+            return `Seq ${duplicate.seqno} was delivered before (its ACK was lost, corrupted or late), so the receiver discards the copy, ACKs it again and keeps waiting.`;
+        }
+        return 'The checksum does not match, so the receiver discards the packet, answers with a NAK and keeps waiting.';
+    }
+
+    /**
+     * State of one machine after the last event of a step
+     * 
+     * @static
+     * @private
+     * @param {Object[]} events - Session events of the step
+     * @param {string} machine - 'sender' or 'receiver'
+     * @returns {string|null} State, e.g. "Wait for ACK 0", or null if the step recorded nothing
+     */
+    static finalState(events, machine) {
+        return events.length > 0 ? events[events.length - 1].states[machine] : null;
+    }
+
+    /**
+     * String representation of the exercise
+     * 
+     * @returns {string} Score
+     */
+    toString() {
+        const score = this.getScore();
+        return `PredictionExercise [${score.correct}/${score.asked} correct, ${this.topics.size} topics]`;
+    }
+}
@@ -0,0 +1,467 @@
+/**
+ * ProtocolLane Class - One protocol run for the comparison view
+ * 
+ * Runs a complete sender and receiver for Stop-and-Wait, Go-Back-N or
+ * Selective Repeat over a pair of Pipes (data one way, ACKs the other),
+ * following the same rules as Sender.js and Receiver.js. Each direction
+ * has its own generator, seeded from the lane's seed, so in lanes built
+ * with the same seed and network settings the n-th datagram sent each way
+ * meets the same loss and corruption, whatever the protocol sent before.
+ * Their counters can then be compared side by side. Timers and the Pipes'
+ * delays run on the given clock, so the debugger pauses the lanes too.
+ * 
+ * Sender rules (as Sender.js):
+ * - Stop-and-Wait: one packet in flight, alternating 0/1 sequence numbers,
+ *   resent on a timeout or at once on a NAK; a corrupted or wrong ACK is ignored
+ * - Go-Back-N: cumulative ACKs, one timer, a timeout resends the whole window
+ * - Selective Repeat: individual ACKs, one timer per packet
+ * 
+ * @author Zshah2
+ * @version 1.0
+ */
+
+const LANE_PROTOCOLS = {
+    'stop-and-wait': 'Stop-and-Wait',
+    'go-back-n': 'Go-Back-N',
+    'selective-repeat': 'Selective Repeat'
+};
+
+class ProtocolLane {
+    /**
+     * Constructor - Prepare a run without starting it
+     * 
+     * @param {string} protocol - 'stop-and-wait', 'go-back-n' or 'selective-repeat'
+     * @param {Uint8Array[]} payloads - Workload, one payload per packet
+     * @param {Object} options - Run settings
+     * @param {number} options.windowSize - Window size for Go-Back-N and Selective Repeat (default: 4)
+     * @param {number} options.timeout - Retransmission timeout in milliseconds (default: 2000)
+     * @param {number} options.maxRetries - Transmissions per packet before giving up (default: 5)
+     * @param {Object} options.network - Pipe settings: lossRate, corruptionRate, delay, jitter, bandwidth
+     * @param {number} options.seed - Seed for the lane's channel (default: picked at random)
+     * @param {Object} options.clock - Time source with now(), setTimeout() and clearTimeout(), e.g. a VirtualClock (default: real time)
+     * @param {Function} options.onUpdate - Called with the lane after every change
+     * 
+     * @throws {Error} If the protocol is unknown
+     */
+    constructor(protocol, payloads, options = {}) {
+        if (!LANE_PROTOCOLS[protocol]) {
+            throw new Error(`Unknown protocol: ${protocol}`);
+        }
+
+        this.protocol = protocol;
+        this.name = LANE_PROTOCOLS[protocol];
+        this.payloads = payloads;
+        this.windowSize = protocol === 'stop-and-wait' ? 1 : (options.windowSize || 4);
+        this.timeout = options.timeout || 2000;
+        this.maxRetries = options.maxRetries || 5;
+        this.onUpdate = options.onUpdate || (() => {});
+
+        this.clock = options.clock || WALL_CLOCK;
+
+        // One generator per direction, so a lane's ACKs do not shift the draws for its data packets
+        // (the reverse seed is offset by one, so the two directions do not repeat each other)
+        const network = options.network || {};
+        this.seed = options.seed ?? SeededRandom.generateSeed();
+        const pipeOptions = { jitter: network.jitter || 0, bandwidth: network.bandwidth || 0, clock: this.clock };
+        this.forwardPipe = new Pipe(network.lossRate || 0, network.corruptionRate || 0, network.delay || 0,
+            { ...pipeOptions, random: new SeededRandom(this.seed) });
+        this.reversePipe = new Pipe(network.lossRate || 0, network.corruptionRate || 0, network.delay || 0,
+            { ...pipeOptions, random: new SeededRandom((this.seed + 1) % 0x100000000) });
+
+        // Per-packet progress: 'pending', 'sent', 'resent' or 'acked'
+        this.packetStates = payloads.map(() => 'pending');
+        this.status = 'idle';
+
+        // Sender state
+        this.base = 0;
+        this.nextIndex = 0;
+        this.attempts = 0;          // Go-Back-N / Stop-and-Wait: tries at the current base
+        this.timer = null;          // Go-Back-N / Stop-and-Wait: single timer
+        this.timers = new Map();    // Selective Repeat: index -> { handle, attempts }
+        this.acked = new Set();     // Selective Repeat: ACKed packets above the base
+
+        // Receiver state
+        this.expected = 0;
+        this.receiveBuffer = new Set();
+
+        // Counters
+        this.packetsSent = 0;
+        this.acksReceived = 0;
+        this.retransmissions = 0;
+        this.packetLoss = 0;
+        this.timeouts = 0;
+        this.deliveredPackets = 0;
+        this.deliveredBytes = 0;
+        this.startTime = 0;
+        this.endTime = 0;
+    }
+
+    /**
+     * Run the transfer
+     * 
+     * @returns {Promise<ProtocolLane>} Resolves with the lane once it is done, failed or stopped
+     */
+    start() {
+        this.status = 'running';
+        this.startTime = this.clock.now();
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            if (this.payloads.length === 0) {
+                this.finish('done');
+                return;
+            }
+            this.fillWindow();
+            this.onUpdate(this);
+        });
+    }
+
+    /**
+     * Abandon the run; pending callbacks are ignored from now on
+     */
+    stop() {
+        if (this.status === 'running') {
+            this.finish('stopped');
+        }
+    }
+
+    /**
+     * Sequence number carried on the wire for a packet
+     * 
+     * @private
+     * @param {number} index - Position of the packet in the workload
+     * @returns {number} 0/1 for Stop-and-Wait, the index otherwise
+     */
+    wireSeqno(index) {
+        return this.protocol === 'stop-and-wait' ? index % 2 : index;
+    }
+
+    /**
+     * Send every new packet the window allows
+     * 
+     * @private
+     */
+    fillWindow() {
+        while (this.nextIndex < this.base + this.windowSize && this.nextIndex < this.payloads.length) {
+            const index = this.nextIndex++;
+            this.transmit(index, false);
+
+            if (this.protocol === 'selective-repeat') {
+                this.startPacketTimer(index, 0);
+            } else if (index === this.base) {
+                this.restartTimer();
+            }
+        }
+    }
+
+    /**
+     * Put one data packet on the forward channel
+     * 
+     * @private
+     * @param {number} index - Position of the packet in the workload
+     * @param {boolean} retransmission - Whether it was sent before
+     */
+    transmit(index, retransmission) {
+        this.packetsSent++;
+        if (retransmission) {
+            this.retransmissions++;
+        }
+        this.packetStates[index] = retransmission ? 'resent' : 'sent';
+
+        const packet = new Packet(this.wireSeqno(index), this.payloads[index]);
+        this.forwardPipe.send(packet).then((datagrams) => {
+            if (this.status !== 'running') return;
+
+            if (datagrams.length === 0) {
+                this.packetLoss++;
+                this.onUpdate(this);
+                return;
+            }
+            datagrams.forEach(bytes => this.receive(bytes));
+        });
+        this.onUpdate(this);
+    }
+
+    /**
+     * Receiver: handle a datagram from the forward channel (as Receiver.js)
+     * 
+     * @private
+     * @param {Uint8Array} bytes - Datagram as it arrived
+     */
+    receive(bytes) {
+        let packet;
+        try {
+            packet = Packet.fromByteArray(bytes);
+        } catch (e) {
+            // Stop-and-Wait NAKs, Go-Back-N repeats its cumulative ACK, Selective Repeat waits for the timer
+            if (this.protocol === 'stop-and-wait') {
+                this.respond(this.expected, false);
+            } else {
+                this.resendLastACK();
+            }
+            return;
+        }
+
+        const seqno = packet.seqno;
+
+        if (this.protocol === 'selective-repeat') {
+            if (seqno >= this.expected && seqno < this.expected + this.windowSize) {
+                this.respond(seqno, true);
+                this.receiveBuffer.add(seqno);
+
+                // Deliver the in-order run starting at the window base
+                while (this.receiveBuffer.has(this.expected)) {
+                    this.receiveBuffer.delete(this.expected);
+                    this.deliver(this.payloads[this.expected].length);
+                    this.expected++;
+                }
+            } else if (seqno >= this.expected - this.windowSize && seqno < this.expected) {
+                // Already delivered - our ACK was lost, so acknowledge again
+                this.respond(seqno, true);
+            }
+            return;
+        }
+
+        if (seqno === this.expected) {
+            this.deliver(packet.getPayloadSize());
+            this.respond(seqno, true);
+            this.expected = this.protocol === 'stop-and-wait' ? 1 - this.expected : this.expected + 1;
+        } else {
+            this.resendLastACK();
+        }
+    }
+
+    /**
+     * Receiver: count a packet handed to the application
+     * 
+     * @private
+     * @param {number} size - Payload size in bytes
+     */
+    deliver(size) {
+        this.deliveredPackets++;
+        this.deliveredBytes += size;
+    }
+
+    /**
+     * Receiver: repeat the ACK for the last in-order packet (none for Selective Repeat)
+     * 
+     * @private
+     */
+    resendLastACK() {
+        if (this.protocol === 'stop-and-wait') {
+            this.respond(1 - this.expected, true);
+        } else if (this.protocol === 'go-back-n' && this.expected > 0) {
+            this.respond(this.expected - 1, true);
+        }
+    }
+
+    /**
+     * Receiver: put an ACK or NAK on the reverse channel
+     * 
+     * @private
+     * @param {number} seqno - Sequence number acknowledged
+     * @param {boolean} valid - ACK if true, NAK if false
+     */
+    respond(seqno, valid) {
+        const response = new Packet(seqno, null, valid ? Packet.FLAG_ACK : Packet.FLAG_NAK);
+        this.reversePipe.send(response).then((datagrams) => {
+            if (this.status !== 'running') return;
+
+            if (datagrams.length === 0) {
+                this.packetLoss++;
+                this.onUpdate(this);
+                return;
+            }
+            datagrams.forEach(bytes => this.handleResponse(bytes));
+        });
+    }
+
+    /**
+     * Sender: handle an ACK or NAK from the reverse channel (as Sender.js)
+     * 
+     * @private
+     * @param {Uint8Array} bytes - Datagram as it arrived
+     */
+    handleResponse(bytes) {
+        if (this.status !== 'running') return;
+
+        let response;
+        try {
+            response = Packet.fromByteArray(bytes);
+        } catch (e) {
+            response = null;
+        }
+        const isAck = response !== null && response.flags === Packet.FLAG_ACK;
+
+        if (this.protocol === 'stop-and-wait') {
+            // A NAK resends at once; a corrupted or wrong ACK is ignored and left to the timer
+            const isNak = response !== null && response.flags === Packet.FLAG_NAK;
+            if (this.base < this.nextIndex && response !== null && response.seqno === this.wireSeqno(this.base)) {
+                if (isAck) {
+                    this.acknowledge(this.base);
+                } else if (isNak) {
+                    this.retry();
+                }
+            }
+        } else if (this.protocol === 'go-back-n') {
+            // Cumulative ACK: everything up to seqno has arrived in order
+            if (isAck && response.seqno >= this.base && response.seqno < this.nextIndex) {
+                for (let index = this.base; index < response.seqno; index++) {
+                    this.packetStates[index] = 'acked';
+                }
+                this.acknowledge(response.seqno);
+            }
+        } else if (isAck && this.timers.has(response.seqno)) {
+            this.acknowledge(response.seqno);
+        }
+
+        this.onUpdate(this);
+    }
+
+    /**
+     * Sender: record a valid ACK and slide the window
+     * 
+     * @private
+     * @param {number} index - Highest packet the ACK covers
+     */
+    acknowledge(index) {
+        this.acksReceived++;
+        this.packetStates[index] = 'acked';
+
+        if (this.protocol === 'selective-repeat') {
+            this.clock.clearTimeout(this.timers.get(index).handle);
+            this.timers.delete(index);
+            this.acked.add(index);
+            while (this.acked.has(this.base)) {
+                this.acked.delete(this.base);
+                this.base++;
+            }
+        } else {
+            this.base = index + 1;
+            this.attempts = 0;
+            if (this.base < this.nextIndex) {
+                this.restartTimer();
+            } else {
+                this.clock.clearTimeout(this.timer);
+            }
+        }
+
+        if (this.base === this.payloads.length) {
+            this.finish('done');
+            return;
+        }
+        this.fillWindow();
+    }
+
+    /**
+     * Go-Back-N / Stop-and-Wait: (re)start the single timer for the window base
+     * 
+     * @private
+     */
+    restartTimer() {
+        this.clock.clearTimeout(this.timer);
+        this.timer = this.clock.setTimeout(() => {
+            if (this.status !== 'running') return;
+            this.timeouts++;
+            this.retry();
+            this.onUpdate(this);
+        }, this.timeout, `${this.name}: timeout PKT ${this.base}`);
+    }
+
+    /**
+     * Go-Back-N / Stop-and-Wait: resend everything from the base, or give up
+     * 
+     * @private
+     */
+    retry() {
+        this.attempts++;
+        if (this.attempts >= this.maxRetries) {
+            this.finish('failed');
+            return;
+        }
+
+        for (let index = this.base; index < this.nextIndex; index++) {
+            this.transmit(index, true);
+        }
+        this.restartTimer();
+    }
+
+    /**
+     * Selective Repeat: start the timer of one packet
+     * 
+     * @private
+     * @param {number} index - Position of the packet in the workload
+     * @param {number} attempts - Timeouts so far for this packet
+     */
+    startPacketTimer(index, attempts) {
+        const handle = this.clock.setTimeout(() => {
+            if (this.status !== 'running') return;
+            this.timeouts++;
+
+            if (attempts + 1 >= this.maxRetries) {
+                this.finish('failed');
+                return;
+            }
+            this.transmit(index, true);
+            this.startPacketTimer(index, attempts + 1);
+        }, this.timeout, `${this.name}: timeout PKT ${index}`);
+
+        this.timers.set(index, { handle, attempts });
+    }
+
+    /**
+     * End the run and stop every timer
+     * 
+     * @private
+     * @param {string} status - 'done', 'failed' or 'stopped'
+     */
+    finish(status) {
+        this.status = status;
+        this.endTime = this.clock.now();
+        this.clock.clearTimeout(this.timer);
+        for (const timer of this.timers.values()) {
+            this.clock.clearTimeout(timer.handle);
+        }
+        this.timers.clear();
+
+        this.onUpdate(this);
+        this.resolve(this);
+    }
+
+    /**
+     * Summary figures for the comparison table
+     * Throughput counts payload bytes delivered in order. Link utilization
+     * is the share of the forward link's capacity spent carrying them.
+     * 
+     * @returns {Object} Protocol name, status, elapsed time, throughput (bps) and counters
+     */
+    getResults() {
+        const elapsed = (this.endTime || this.clock.now()) - this.startTime;
+        const throughput = elapsed > 0 ? (this.deliveredBytes * 8 * 1000) / elapsed : 0;
+        const bandwidth = this.forwardPipe.bandwidth;
+
+        return {
+            protocol: this.protocol,
+            name: this.name,
+            status: this.status,
+            elapsed: elapsed,
+            throughput: throughput,
+            utilization: bandwidth > 0 ? throughput / bandwidth : null,
+            packetsSent: this.packetsSent,
+            acksReceived: this.acksReceived,
+            retransmissions: this.retransmissions,
+            packetLoss: this.packetLoss,
+            timeouts: this.timeouts,
+            deliveredPackets: this.deliveredPackets
+        };
+    }
+
+    /**
+     * String representation of the lane
+     * 
+     * @returns {string} Protocol and progress
+     */
+    toString() {
+        return `ProtocolLane [${this.name}, window=${this.windowSize}, ${this.base}/${this.payloads.length} acked, ${this.status}]`;
+    }
+}
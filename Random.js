@@ -0,0 +1,96 @@
+/**
+ * SeededRandom Class - Deterministic pseudo-random number generator
+ * 
+ * Drives every random decision the network simulators make, so a run
+ * can be replayed exactly by reusing its seed. Uses the Mulberry32
+ * generator: a 32-bit state, fast, and good enough for simulation.
+ * 
+ * @author Zshah2
+ * @version 1.0
+ */
+
+class SeededRandom {
+    /**
+     * Constructor - Create a generator from a seed
+     * 
+     * @param {number|string} seed - 32-bit unsigned seed (default: picked at random)
+     * 
+     * @throws {Error} If the seed is not a non-negative integer
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = SeededRandom.parseSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Pick a fresh seed for a run that did not ask for one
+     * 
+     * @returns {number} Seed in the range [0, 2^32)
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Validate a seed given as a number or a string (e.g. from a form field)
+     * 
+     * @param {number|string} seed - Seed to validate
+     * @returns {number} Seed as a 32-bit unsigned integer
+     * @throws {Error} If the seed is not a non-negative integer below 2^32
+     */
+    static parseSeed(seed) {
+        const value = typeof seed === 'string' ? Number(seed.trim()) : seed;
+
+        if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+            throw new Error(`Invalid seed: ${seed} (expected an integer from 0 to 4294967295)`);
+        }
+        return value;
+    }
+
+    /**
+     * Next number in the sequence (drop-in for Math.random())
+     * 
+     * @returns {number} Value in the range [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Next integer in the range [0, max)
+     * 
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Random integer
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * 
+     * @param {number|string} seed - Seed to restart from
+     */
+    reseed(seed) {
+        this.seed = SeededRandom.parseSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * String representation of the generator
+     * 
+     * @returns {string} Seed description
+     */
+    toString() {
+        return `SeededRandom [seed=${this.seed}]`;
+    }
+}
+
+// Export for Node.js (Pipe/Sender/Receiver); in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -3,13 +3,21 @@
  * 
  * Implements the receiver side of Stop-and-Wait protocol.
  * Validates packets, writes data to file, and sends ACKs.
+ * Serves several senders at once: each accepted SYN opens an independent
+ * session with its own protocol state, output file and statistics.
  * 
  * Protocol Flow:
  * 1. Listen on UDP port for incoming packets
- * 2. Validate packet checksum
- * 3. If valid and correct sequence -> write data and send ACK
- * 4. If invalid or wrong sequence -> send NAK or resend last ACK
- * 5. Continue until all data received
+ * 2. Accept or reject the sender's SYN (session ID + file metadata)
+ * 3. Validate packet checksum and session ID
+ * 4. If valid and correct sequence -> write data and send ACK
+ * 5. If invalid or wrong sequence -> send NAK or resend last ACK
+ * 6. Continue until FIN received -> send FIN-ACK, close file, linger
+ * 
+ * With windowSize > 1 the receiver runs Go-Back-N: it sends cumulative
+ * ACKs and discards out-of-order packets instead of buffering them.
+ * Selective Repeat (options.protocol) ACKs every packet individually and
+ * buffers out-of-order packets inside the window until the gap is filled.
  * 
  * @author Zshah2
  * @version 1.0
@@ -17,127 +25,67 @@
 
 const dgram = require('dgram');
 const fs = require('fs');
+const path = require('path');
 
-// Packet class definition
-class Packet {
-    static HEADER_SIZE = 8;
-    static MAX_DATA_SIZE = 500;
-    static MAX_PACKET_SIZE = Packet.HEADER_SIZE + Packet.MAX_DATA_SIZE;
-    static ACK_PACKET_SIZE = Packet.HEADER_SIZE;
-
-    constructor(seqnoOrAckno, data = null) {
-        if (!Number.isInteger(seqnoOrAckno) || seqnoOrAckno < 0) {
-            throw new Error('Invalid sequence number');
-        }
-        this.seqno = seqnoOrAckno;
-        this.data = data !== null ? data : null;
-        this.len = data !== null ? (Packet.HEADER_SIZE + data.length) : Packet.HEADER_SIZE;
-        this.cksum = this.calculateChecksum();
-    }
-
-    calculateChecksum() {
-        let sum = 0;
-        sum += (this.seqno & 0xFF);
-        sum += ((this.seqno >> 8) & 0xFF);
-        sum += ((this.seqno >> 16) & 0xFF);
-        sum += ((this.seqno >> 24) & 0xFF);
-        if (this.data !== null) {
-            for (let byte of this.data) {
-                sum += (byte & 0xFF);
-            }
-        }
-        return sum % 256;
-    }
-
-    verifyChecksum() {
-        return this.cksum === this.calculateChecksum();
-    }
-
-    toByteArray() {
-        const buffer = new ArrayBuffer(this.len);
-        const view = new DataView(buffer);
-        view.setInt16(0, this.cksum, false);
-        view.setInt16(2, this.len, false);
-        view.setInt32(4, this.seqno, false);
-        if (this.data !== null && this.data.length > 0) {
-            for (let i = 0; i < this.data.length; i++) {
-                view.setUint8(Packet.HEADER_SIZE + i, this.data[i]);
-            }
-        }
-        return new Uint8Array(buffer);
-    }
-
-    static fromByteArray(bytes) {
-        if (bytes.length < Packet.HEADER_SIZE) {
-            throw new Error('Packet too small');
-        }
-        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
-        const packet = new Packet(0);
-        packet.cksum = view.getInt16(0, false);
-        packet.len = view.getInt16(2, false);
-        packet.seqno = view.getInt32(4, false);
-        const dataLength = packet.len - Packet.HEADER_SIZE;
-        if (dataLength > 0) {
-            packet.data = new Uint8Array(dataLength);
-            for (let i = 0; i < dataLength; i++) {
-                packet.data[i] = view.getUint8(Packet.HEADER_SIZE + i);
-            }
-        }
-        return packet;
-    }
-
-    isAckPacket() {
-        return this.data === null || this.data.length === 0;
-    }
-
-    isDataPacket() {
-        return !this.isAckPacket();
-    }
-
-    toString() {
-        if (this.isAckPacket()) {
-            return `ACK [seq=${this.seqno}, cksum=${this.cksum}]`;
-        } else {
-            return `DATA [seq=${this.seqno}, len=${this.len}, size=${this.data.length}, cksum=${this.cksum}]`;
-        }
-    }
-}
+// Import Packet, Pipe and FaultScenario classes (see Packet.js, Pipe.js and FaultScenario.js)
+const Packet = require('./Packet');
+const Pipe = require('./Pipe');
+const FaultScenario = require('./FaultScenario');
 
-// Pipe class definition
-class Pipe {
-    constructor(lossRate = 0.0, corruptionRate = 0.0, delay = 0) {
-        this.lossRate = Math.max(0, Math.min(1, lossRate));
-        this.corruptionRate = Math.max(0, Math.min(1, corruptionRate));
-        this.delay = Math.max(0, delay);
-    }
+// Protocol modes selectable through options.protocol
+const PROTOCOL_NAMES = {
+    'stop-and-wait': 'Stop-and-Wait',
+    'go-back-n': 'Go-Back-N',
+    'selective-repeat': 'Selective Repeat'
+};
 
-    async send(packet) {
-        if (this.delay > 0) {
-            await this.sleep(this.delay);
-        }
-        if (Math.random() < this.lossRate) {
-            console.log(`[PIPE] Packet ${packet.seqno} LOST`);
-            return null;
-        }
-        if (Math.random() < this.corruptionRate) {
-            console.log(`[PIPE] Packet ${packet.seqno} CORRUPTED`);
-            packet.cksum = Math.floor(Math.random() * 256);
-            return packet;
-        }
-        return packet;
-    }
+/**
+ * Per-sender transfer state
+ * One instance per accepted SYN, keyed by session ID in Receiver.sessions.
+ */
+class ReceiverSession {
+    /**
+     * Constructor
+     * 
+     * @param {number} sessionId - Session ID announced in the SYN
+     * @param {Object} rinfo - Remote info (address, port) of the sender
+     * @param {string} outputFilename - Path the received data is written to
+     */
+    constructor(sessionId, rinfo, outputFilename) {
+        this.id = sessionId;
+        this.address = rinfo.address;
+        this.port = rinfo.port;
+        this.outputFilename = outputFilename;
+        this.fileOutput = fs.createWriteStream(outputFilename);
+        this.lastActivity = Date.now();
 
-    isPacketValid(packet) {
-        if (packet === null) return false;
-        return packet.verifyChecksum();
-    }
+        // Protocol state
+        this.expectedSeqno = 0;         // Receive window base for Selective Repeat
+        this.receiveBuffer = new Map(); // Selective Repeat: seqno -> out-of-order packet
+        this.done = false;
+        this.finSeqno = null;
+        this.lingerTimer = null;        // Removes the session once its linger period ends
+        this.checksum = Packet.DEFAULT_CHECKSUM; // Replies use the sender's algorithm
 
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        // Statistics
+        this.packetsReceived = 0;
+        this.acksSent = 0;
+        this.naksSent = 0;
+        this.packetsCorrupted = 0;
+        this.outOfOrderPackets = 0;
+        this.bufferedPackets = 0;
+        this.duplicatePackets = 0;
+        this.bytesReceived = 0;
     }
 
-    toString() {
-        return `Pipe [loss=${(this.lossRate * 100).toFixed(1)}%, corruption=${(this.corruptionRate * 100).toFixed(1)}%, delay=${this.delay}ms]`;
+    /**
+     * Check whether a datagram came from this session's sender
+     * 
+     * @param {Object} rinfo - Remote info (address, port)
+     * @returns {boolean} True if address and port match
+     */
+    isPeer(rinfo) {
+        return rinfo.address === this.address && rinfo.port === this.port;
     }
 }
 
@@ -149,31 +97,61 @@ class Receiver {
      * Constructor
      * 
      * @param {number} port - UDP port to listen on (default: 5555)
-     * @param {number} windowSize - Window size for future use (default: 1)
+     * @param {number} windowSize - Window size (1 = Stop-and-Wait, >1 = Go-Back-N)
      * @param {number} lossRate - Network loss rate (0-1)
      * @param {number} corruptionRate - Network corruption rate (0-1)
      * @param {number} delay - Network delay in ms
+     * @param {Object} options - Additional settings
+     * @param {string} options.protocol - 'stop-and-wait', 'go-back-n' or 'selective-repeat'
+     *                                    (default: Go-Back-N if windowSize > 1)
+     * @param {string} options.outputDir - Directory for received files (default: '.')
+     * @param {number} options.maxSessions - Concurrent sessions allowed (default: 16)
+     * @param {number} options.sessionTimeout - Idle time in ms before a session expires (default: 30000)
+     * @param {Object} options.pipe - Extra Pipe settings, see the Pipe constructor
+     * @param {number} options.seed - Seed for the Pipe's random decisions, to replay a run (default: random)
+     * @param {string|FaultScenario} options.scenario - Scripted faults: a built-in scenario name or a scenario file (default: none)
+     * 
+     * @throws {Error} If the protocol is unknown, or the scenario cannot be loaded
      */
-    constructor(port, windowSize, lossRate = 0, corruptionRate = 0, delay = 0) {
+    constructor(port, windowSize, lossRate = 0, corruptionRate = 0, delay = 0, options = {}) {
         this.port = port;
         this.windowSize = windowSize;
-        this.pipe = new Pipe(lossRate, corruptionRate, delay);
-        this.outputFilename = 'received_file.txt';
+        this.protocol = options.protocol || (windowSize > 1 ? 'go-back-n' : 'stop-and-wait');
+        this.pipe = new Pipe(lossRate, corruptionRate, delay, {
+            seed: options.seed,
+            scenario: options.scenario ? FaultScenario.load(options.scenario) : null,
+            ...options.pipe
+        });
+        this.outputDir = options.outputDir || '.';
+        this.maxSessions = options.maxSessions || 16;
+        this.sessionTimeout = options.sessionTimeout || 30000;
+        this.lingerTime = 5000;  // Keep answering duplicate FINs this long after a session ends
 
-        // Protocol state
-        this.expectedSeqno = 0;
-        this.fileOutput = null;
+        if (!PROTOCOL_NAMES[this.protocol]) {
+            throw new Error(`Unknown protocol: ${this.protocol}`);
+        }
 
-        // Statistics
+        // Active sessions, keyed by session ID
+        this.sessions = new Map();
+
+        // Receiver-wide statistics (per-transfer counters live in each session)
         this.packetsReceived = 0;
-        this.acksSent = 0;
-        this.packetsCorrupted = 0;
-        this.outOfOrderPackets = 0;
-        this.bytesReceived = 0;
+        this.packetsCorrupted = 0;       // Every datagram rejected by Packet.fromByteArray()
+        this.malformedPackets = {        // The same datagrams, by PacketError code
+            'truncated': 0,
+            'oversize': 0,
+            'bad-length': 0,
+            'bad-checksum': 0
+        };
+        this.foreignPackets = 0;
+        this.sessionsCompleted = 0;
+        this.sessionsExpired = 0;
+        this.sessionsRejected = 0;
 
         // UDP socket
         this.socket = dgram.createSocket('udp4');
-        this.done = false;
+        this.sweepTimer = null;
+        this.stopped = false;
     }
 
     /**
@@ -182,12 +160,13 @@ class Receiver {
     start() {
         console.log(`[SERVER] Listening on port ${this.port}`);
         console.log(`[SERVER] Window size: ${this.windowSize}`);
+        console.log(`[SERVER] Mode: ${PROTOCOL_NAMES[this.protocol]}`);
+        console.log(`[SERVER] Output directory: ${this.outputDir}`);
+        console.log(`[SERVER] Max sessions: ${this.maxSessions}, idle timeout: ${this.sessionTimeout} ms`);
         console.log(`[PIPE] ${this.pipe.toString()}`);
+        console.log(`[PIPE] Random seed: ${this.pipe.random.seed} (pass options.seed or RDT_SEED to replay)`);
         console.log('');
 
-        // Create output file stream
-        this.fileOutput = fs.createWriteStream(this.outputFilename);
-
         // Register message handler
         this.socket.on('message', (msg, rinfo) => {
             this.handlePacket(msg, rinfo);
@@ -201,15 +180,31 @@ class Receiver {
         // Bind to port
         this.socket.bind(this.port);
 
-        // Timeout after 30 seconds of inactivity
-        setTimeout(() => {
-            if (!this.done) {
-                this.done = true;
-                this.fileOutput.end();
-                this.printStatistics();
-                this.socket.close();
+        // Expire sessions whose sender has gone quiet
+        this.sweepTimer = setInterval(() => {
+            this.expireIdleSessions();
+        }, 1000);
+    }
+
+    /**
+     * Stop listening, close every open session and print totals
+     */
+    stop() {
+        clearInterval(this.sweepTimer);
+        this.stopped = true;
+
+        for (const session of this.sessions.values()) {
+            clearTimeout(session.lingerTimer);
+            if (!session.done) {
+                console.log(`[SERVER] Session ${session.id} closed before completion`);
+                session.fileOutput.end();
+                this.printSessionStatistics(session);
             }
-        }, 30000);
+        }
+        this.sessions.clear();
+
+        this.printStatistics();
+        this.socket.close();
     }
 
     /**
@@ -220,80 +215,417 @@ class Receiver {
      * @param {Object} rinfo - Remote info (address, port)
      */
     handlePacket(msg, rinfo) {
+        this.packetsReceived++;
+
         try {
-            // Parse packet from bytes
-            const packet = Packet.fromByteArray(msg);
+            // Parse packet from bytes; a bad checksum still yields the untrusted packet
+            let packet;
+            let valid = true;
+
+            try {
+                packet = Packet.fromByteArray(msg);
+            } catch (e) {
+                if (!(e instanceof Packet.PacketError)) {
+                    throw e;
+                }
+
+                this.packetsCorrupted++;
+                this.malformedPackets[e.code]++;
+                if (!(e instanceof Packet.BadChecksumError) || e.packet === null) {
+                    console.log(`\n[SERVER] ✗ Malformed datagram from ${rinfo.address}:${rinfo.port} (${e.message}) - Discarded`);
+                    return;
+                }
+
+                packet = e.packet;
+                valid = false;
+            }
+
+            console.log(`\n[SERVER] Received from ${rinfo.address}:${rinfo.port}: ${packet.toString()}`);
+
+            // Look up the session this packet claims to belong to
+            let session = this.sessions.get(packet.sessionId);
+            if (session && !session.isPeer(rinfo)) {
+                session = undefined;
+            }
 
-            this.packetsReceived++;
-            console.log(`\n[SERVER] Received: ${packet.toString()}`);
-            console.log(`[SERVER] Expected: seq=${this.expectedSeqno}`);
+            // Counted before the checksum test, so corrupted packets are part of the session's error rate
+            if (session) {
+                session.packetsReceived++;
+            }
 
             // Validate checksum
-            if (!this.pipe.isPacketValid(packet)) {
-                this.packetsCorrupted++;
-                console.log(`[SERVER] ✗ Checksum FAILED - Sending NAK`);
-                this.sendACK(rinfo.address, rinfo.port, this.expectedSeqno, false);
+            if (!valid) {
+                if (!session) {
+                    console.log(`[SERVER] ✗ Checksum FAILED - Discarded`);
+                    return;
+                }
+
+                session.packetsCorrupted++;
+                if (this.protocol === 'stop-and-wait') {
+                    console.log(`[SERVER] ✗ Checksum FAILED - Sending NAK`);
+                    this.sendACK(session, session.expectedSeqno, false);
+                    session.naksSent++;
+                } else {
+                    console.log(`[SERVER] ✗ Checksum FAILED - Discarded`);
+                    this.resendLastACK(session);
+                }
+                return;
+            }
+
+            // Connection setup handshake
+            if (packet.isSyn()) {
+                this.handleSyn(packet, rinfo);
+                return;
+            }
+
+            // Drop anything that is not part of an accepted session
+            if (!session) {
+                this.foreignPackets++;
+                console.log(`[SERVER] ✗ Not part of an active session (session=${packet.sessionId}) - Dropped`);
+                return;
+            }
+
+            session.lastActivity = Date.now();
+            console.log(`[SERVER] Session ${session.id} expected: seq=${session.expectedSeqno}`);
+
+            // End-of-transfer handshake
+            if (packet.isFin()) {
+                this.handleFin(session, packet);
+                return;
+            }
+
+            if (session.done) {
+                console.log(`[SERVER] Transfer already complete - Ignored`);
+                return;
+            }
+
+            if (this.protocol === 'selective-repeat') {
+                this.handleSelectiveRepeat(session, packet);
                 return;
             }
 
             // Check sequence number
-            if (packet.seqno === this.expectedSeqno) {
+            if (packet.seqno === session.expectedSeqno) {
                 // Correct packet - write data and send ACK
-                if (packet.isDataPacket()) {
-                    this.fileOutput.write(Buffer.from(packet.data));
-                    this.bytesReceived += packet.data.length;
-                    console.log(`[SERVER] ✓ Data written (${packet.data.length} bytes)`);
-                }
+                this.deliverPacket(session, packet);
 
                 // Send ACK
-                this.sendACK(rinfo.address, rinfo.port, this.expectedSeqno, true);
-                this.acksSent++;
-
-                // Toggle sequence number
-                this.expectedSeqno = 1 - this.expectedSeqno;
-
-                // Check if last packet (incomplete chunk)
-                if (packet.isDataPacket() && packet.data.length < Packet.MAX_DATA_SIZE) {
-                    console.log(`[SERVER] Last packet received (${packet.data.length} < ${Packet.MAX_DATA_SIZE})`);
-                    this.done = true;
-                    setTimeout(() => {
-                        this.fileOutput.end();
-                        this.printStatistics();
-                        this.socket.close();
-                    }, 100);
-                }
+                this.sendACK(session, session.expectedSeqno, true);
+                session.acksSent++;
+
+                // Advance to the next expected sequence number
+                session.expectedSeqno = this.nextSeqno(session.expectedSeqno);
             } else {
-                // Out of order packet
-                this.outOfOrderPackets++;
+                // Out of order packet (Go-Back-N discards it without buffering)
+                session.outOfOrderPackets++;
+                if (this.protocol === 'stop-and-wait' || packet.seqno < session.expectedSeqno) {
+                    session.duplicatePackets++;
+                }
                 console.log(`[SERVER] ✗ Out of order - Resending last ACK`);
-                this.sendACK(rinfo.address, rinfo.port, 1 - this.expectedSeqno, true);
+                this.resendLastACK(session);
             }
 
         } catch (e) {
-            console.error(`[ERROR] Packet parsing failed: ${e.message}`);
+            console.error(`[ERROR] Packet handling failed: ${e.message}`);
         }
     }
 
     /**
-     * Send ACK back to sender
+     * Handle a valid packet in Selective Repeat mode
+     * Packets inside the receive window are ACKed individually and buffered
+     * until everything before them has arrived. Packets from the previous
+     * window were already delivered, so they are only re-ACKed.
      * 
      * @private
-     * @param {string} address - Destination IP
-     * @param {number} port - Destination port
+     * @param {ReceiverSession} session - Session the packet belongs to
+     * @param {Packet} packet - Packet with a valid checksum
+     */
+    handleSelectiveRepeat(session, packet) {
+        const seqno = packet.seqno;
+        const windowEnd = session.expectedSeqno + this.windowSize;
+
+        if (seqno >= session.expectedSeqno && seqno < windowEnd) {
+            this.sendACK(session, seqno, true);
+            session.acksSent++;
+
+            if (session.receiveBuffer.has(seqno)) {
+                session.duplicatePackets++;
+                console.log(`[SERVER] ✗ Duplicate of buffered packet - Re-ACKed`);
+                return;
+            }
+
+            session.receiveBuffer.set(seqno, packet);
+            if (seqno !== session.expectedSeqno) {
+                session.outOfOrderPackets++;
+                session.bufferedPackets++;
+                console.log(`[SERVER] Buffered out-of-order packet (window: [${session.expectedSeqno}, ${windowEnd - 1}])`);
+                return;
+            }
+
+            // Deliver the in-order run starting at the window base
+            while (session.receiveBuffer.has(session.expectedSeqno)) {
+                this.deliverPacket(session, session.receiveBuffer.get(session.expectedSeqno));
+                session.receiveBuffer.delete(session.expectedSeqno);
+                session.expectedSeqno++;
+            }
+        } else if (seqno >= session.expectedSeqno - this.windowSize && seqno < session.expectedSeqno) {
+            // Already delivered - our ACK was lost, so acknowledge again
+            session.duplicatePackets++;
+            console.log(`[SERVER] ✗ Duplicate of delivered packet - Re-ACKed`);
+            this.sendACK(session, seqno, true);
+        } else {
+            console.log(`[SERVER] ✗ Outside receive window - Ignored`);
+        }
+    }
+
+    /**
+     * Handle a SYN from a sender
+     * Opens a new session if there is room and the metadata is usable,
+     * then answers SYN-ACK. A duplicate SYN for an open session is answered
+     * again (our SYN-ACK was lost); anything else is rejected with RST.
+     * 
+     * @private
+     * @param {Packet} packet - SYN packet with a valid checksum
+     * @param {Object} rinfo - Remote info (address, port)
+     */
+    handleSyn(packet, rinfo) {
+        const existing = this.sessions.get(packet.sessionId);
+        if (existing) {
+            if (existing.isPeer(rinfo) && !existing.done) {
+                existing.duplicatePackets++;
+                existing.lastActivity = Date.now();
+                console.log(`[SERVER] ✗ Duplicate SYN - Resending SYN-ACK`);
+                this.sendACK(existing, 0, true, Packet.FLAG_SYN);
+            } else if (!existing.isPeer(rinfo)) {
+                this.sendReject(rinfo, packet.sessionId, 'Session ID already in use');
+            }
+            return;
+        }
+
+        if (this.sessions.size >= this.maxSessions) {
+            this.sendReject(rinfo, packet.sessionId, `Too many concurrent sessions (max ${this.maxSessions})`);
+            return;
+        }
+
+        let metadata;
+        try {
+            metadata = JSON.parse(Buffer.from(packet.data || []).toString());
+        } catch (e) {
+            this.sendReject(rinfo, packet.sessionId, 'Malformed SYN metadata');
+            return;
+        }
+
+        const reason = this.checkMetadata(metadata);
+        if (reason) {
+            this.sendReject(rinfo, packet.sessionId, reason);
+            return;
+        }
+
+        const session = new ReceiverSession(packet.sessionId, rinfo, this.chooseOutputFilename(packet.sessionId, metadata.filename));
+        session.checksum = packet.checksumType;
+        this.sessions.set(session.id, session);
+
+        console.log(`[SERVER] ✓ Session ${session.id} accepted from ${rinfo.address}:${rinfo.port}: ${metadata.filename} (${metadata.size} bytes, ${metadata.chunkSize}-byte chunks, ${session.checksum} checksum)`);
+        console.log(`[SERVER] Writing to ${session.outputFilename} (${this.sessions.size}/${this.maxSessions} sessions)`);
+        this.sendACK(session, 0, true, Packet.FLAG_SYN);
+    }
+
+    /**
+     * Check the metadata announced in a SYN
+     * 
+     * @private
+     * @param {Object} metadata - Parsed SYN payload
+     * @returns {string|null} Rejection reason, or null if acceptable
+     */
+    checkMetadata(metadata) {
+        if (metadata === null || typeof metadata !== 'object') {
+            return 'Malformed SYN metadata';
+        }
+
+        const name = typeof metadata.filename === 'string' ? path.basename(metadata.filename) : '';
+        if (name === '' || name === '.' || name === '..') {
+            return 'Invalid file name';
+        }
+
+        if (!Number.isInteger(metadata.size) || metadata.size < 0) {
+            return 'Invalid file size';
+        }
+
+        if (!Number.isInteger(metadata.chunkSize) || metadata.chunkSize < 1 || metadata.chunkSize > Packet.MAX_DATA_SIZE) {
+            return `Unsupported chunk size (max ${Packet.MAX_DATA_SIZE})`;
+        }
+
+        // Pre-check free space where the file will be written (statfs needs Node 18.15+)
+        if (typeof fs.statfsSync === 'function') {
+            try {
+                const stats = fs.statfsSync(this.outputDir);
+                if (stats.bavail * stats.bsize < metadata.size) {
+                    return 'Insufficient disk space';
+                }
+            } catch (e) {
+                return `Output directory unavailable: ${e.message}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Pick the output path for a new session
+     * Uses received_<name>, or received_<session>_<name> if another open
+     * session is already writing to that path.
+     * 
+     * @private
+     * @param {number} sessionId - Session ID of the new transfer
+     * @param {string} filename - File name announced in the SYN
+     * @returns {string} Output file path
+     */
+    chooseOutputFilename(sessionId, filename) {
+        const name = path.basename(filename);
+        const preferred = path.join(this.outputDir, `received_${name}`);
+
+        for (const session of this.sessions.values()) {
+            if (session.outputFilename === preferred) {
+                return path.join(this.outputDir, `received_${sessionId}_${name}`);
+            }
+        }
+        return preferred;
+    }
+
+    /**
+     * Handle a FIN from a sender
+     * A FIN is only accepted once every data packet before it has been
+     * delivered. After that, duplicate FINs (our FIN-ACK was lost) are
+     * answered again until the linger period ends and the session is removed.
+     * 
+     * @private
+     * @param {ReceiverSession} session - Session the FIN belongs to
+     * @param {Packet} packet - FIN packet with a valid checksum
+     */
+    handleFin(session, packet) {
+        if (session.done) {
+            if (packet.seqno === session.finSeqno) {
+                session.duplicatePackets++;
+                console.log(`[SERVER] ✗ Duplicate FIN - Resending FIN-ACK`);
+                this.sendACK(session, packet.seqno, true, Packet.FLAG_FIN);
+            }
+            return;
+        }
+
+        if (packet.seqno !== session.expectedSeqno) {
+            // Data is still missing, so the FIN cannot be accepted yet
+            session.outOfOrderPackets++;
+            console.log(`[SERVER] ✗ FIN out of order - Resending last ACK`);
+            this.resendLastACK(session);
+            return;
+        }
+
+        console.log(`[SERVER] FIN received - Session ${session.id} complete`);
+        session.finSeqno = packet.seqno;
+        this.sendACK(session, packet.seqno, true, Packet.FLAG_FIN);
+        session.acksSent++;
+
+        session.done = true;
+        session.fileOutput.end();
+        this.sessionsCompleted++;
+        this.printSessionStatistics(session);
+
+        // Linger so a retransmitted FIN still gets its FIN-ACK
+        session.lingerTimer = setTimeout(() => {
+            this.sessions.delete(session.id);
+        }, this.lingerTime);
+    }
+
+    /**
+     * Expire sessions that have been idle longer than sessionTimeout
+     * Their output file is closed as-is, since the transfer never finished.
+     * 
+     * @private
+     */
+    expireIdleSessions() {
+        const now = Date.now();
+
+        for (const session of this.sessions.values()) {
+            if (session.done || now - session.lastActivity < this.sessionTimeout) {
+                continue;
+            }
+
+            console.log(`\n[SERVER] Session ${session.id} expired after ${this.sessionTimeout} ms of inactivity`);
+            session.fileOutput.end();
+            this.sessions.delete(session.id);
+            this.sessionsExpired++;
+            this.printSessionStatistics(session);
+        }
+    }
+
+    /**
+     * Write an in-order packet to the session's output file
+     * 
+     * @private
+     * @param {ReceiverSession} session - Session the packet belongs to
+     * @param {Packet} packet - Packet to deliver
+     */
+    deliverPacket(session, packet) {
+        if (!packet.isDataPacket()) {
+            return;
+        }
+
+        session.fileOutput.write(Buffer.from(packet.data));
+        session.bytesReceived += packet.data.length;
+        console.log(`[SERVER] ✓ Data written (${packet.data.length} bytes)`);
+    }
+
+    /**
+     * Get the sequence number that follows seqno
+     * Stop-and-Wait alternates 0/1, Go-Back-N counts upward
+     * 
+     * @private
+     * @param {number} seqno - Current sequence number
+     * @returns {number} Next sequence number
+     */
+    nextSeqno(seqno) {
+        return this.protocol === 'stop-and-wait' ? 1 - seqno : seqno + 1;
+    }
+
+    /**
+     * Re-acknowledge the last packet received in order
+     * In Go-Back-N this is the cumulative ACK; nothing is sent if no
+     * packet has been accepted yet. Selective Repeat has no cumulative
+     * ACK, so the sender's per-packet timers take care of recovery.
+     * 
+     * @private
+     * @param {ReceiverSession} session - Session to acknowledge
+     */
+    resendLastACK(session) {
+        if (this.protocol === 'go-back-n') {
+            if (session.expectedSeqno > 0) {
+                this.sendACK(session, session.expectedSeqno - 1, true);
+            }
+        } else if (this.protocol === 'stop-and-wait') {
+            this.sendACK(session, 1 - session.expectedSeqno, true);
+        }
+    }
+
+    /**
+     * Send ACK or NAK back to a session's sender
+     * 
+     * @private
+     * @param {ReceiverSession} session - Session to acknowledge
      * @param {number} ackno - ACK sequence number
      * @param {boolean} valid - True for ACK, false for NAK
+     * @param {number} flags - Extra flags, FLAG_SYN for a SYN-ACK or FLAG_FIN for a FIN-ACK (default: 0)
      */
-    sendACK(address, port, ackno, valid) {
+    sendACK(session, ackno, valid, flags = 0) {
         try {
-            const ackPacket = new Packet(ackno);
-            const packetBytes = ackPacket.toByteArray();
+            const typeFlag = valid ? Packet.FLAG_ACK : Packet.FLAG_NAK;
+            const ackPacket = new Packet(ackno, null, flags | typeFlag, session.id, session.checksum);
 
-            this.socket.send(packetBytes, 0, packetBytes.length, port, address, (err) => {
+            this.sendThroughPipe(ackPacket, session.address, session.port, (err) => {
                 if (err) {
                     console.error(`[ERROR] Failed to send ACK: ${err.message}`);
                 } else {
                     const status = valid ? '✓' : '✗';
-                    console.log(`[SERVER] ${status} Sent ACK: seq=${ackno}`);
+                    console.log(`[SERVER] ${status} Sent ${ackPacket.getType()}: seq=${ackno}, session=${session.id}`);
                 }
             });
         } catch (e) {
@@ -302,27 +634,122 @@ class Receiver {
     }
 
     /**
-     * Print transfer statistics
+     * Reject a SYN with an RST carrying the reason as payload
+     * 
+     * @private
+     * @param {Object} rinfo - Remote info (address, port)
+     * @param {number} sessionId - Session ID from the rejected SYN
+     * @param {string} reason - Human-readable rejection reason
+     */
+    sendReject(rinfo, sessionId, reason) {
+        console.log(`[SERVER] ✗ Session ${sessionId} rejected: ${reason}`);
+        this.sessionsRejected++;
+
+        try {
+            const rstPacket = new Packet(0, new Uint8Array(Buffer.from(reason)), Packet.FLAG_RST, sessionId);
+
+            this.sendThroughPipe(rstPacket, rinfo.address, rinfo.port, (err) => {
+                if (err) {
+                    console.error(`[ERROR] Failed to send RST: ${err.message}`);
+                }
+            });
+        } catch (e) {
+            console.error(`[ERROR] RST creation failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * Send a packet to a sender through the simulated network
+     * The Pipe applies the configured impairments first; the callback
+     * runs once for every datagram that actually reaches the socket.
+     * 
+     * @private
+     * @param {Packet} packet - Packet to send
+     * @param {string} address - Destination IP
+     * @param {number} port - Destination port
+     * @param {Function} callback - Socket send callback, receives an error or null
+     */
+    sendThroughPipe(packet, address, port, callback) {
+        this.pipe.send(packet).then((datagrams) => {
+            // The receiver stopped while the packet was in flight
+            if (this.stopped) {
+                return;
+            }
+
+            for (const packetBytes of datagrams) {
+                this.socket.send(packetBytes, 0, packetBytes.length, port, address, callback);
+            }
+        });
+    }
+
+    /**
+     * Print statistics for one transfer
+     * 
+     * @param {ReceiverSession} session - Finished or expired session
+     */
+    printSessionStatistics(session) {
+        const errorRate = session.packetsReceived > 0 ? ((session.packetsCorrupted / session.packetsReceived) * 100).toFixed(1) : 0;
+
+        console.log('\n========== RECEIVER STATISTICS ==========');
+        console.log(`Session ID:            ${session.id}`);
+        console.log(`Peer:                  ${session.address}:${session.port}`);
+        console.log(`Packets Received:      ${session.packetsReceived}`);
+        console.log(`ACKs Sent:             ${session.acksSent}`);
+        console.log(`NAKs Sent:             ${session.naksSent}`);
+        console.log(`Bytes Received:        ${session.bytesReceived}`);
+        console.log(`Corrupted Packets:     ${session.packetsCorrupted}`);
+        console.log(`Out of Order Packets:  ${session.outOfOrderPackets}`);
+        console.log(`Buffered Packets:      ${session.bufferedPackets}`);
+        console.log(`Duplicate Packets:     ${session.duplicatePackets}`);
+        console.log(`Error Rate:            ${errorRate}%`);
+        console.log(`Output File:           ${session.outputFilename}`);
+        console.log('=========================================');
+    }
+
+    /**
+     * Print receiver-wide totals across all sessions
      */
     printStatistics() {
         const errorRate = this.packetsReceived > 0 ? ((this.packetsCorrupted / this.packetsReceived) * 100).toFixed(1) : 0;
 
-        console.log('\n========== RECEIVER STATISTICS ==========');
+        console.log('\n========== RECEIVER TOTALS ==============');
         console.log(`Packets Received:      ${this.packetsReceived}`);
-        console.log(`ACKs Sent:             ${this.acksSent}`);
-        console.log(`Bytes Received:        ${this.bytesReceived}`);
         console.log(`Corrupted Packets:     ${this.packetsCorrupted}`);
-        console.log(`Out of Order Packets:  ${this.outOfOrderPackets}`);
+        console.log(`  Truncated:           ${this.malformedPackets['truncated']}`);
+        console.log(`  Oversize:            ${this.malformedPackets['oversize']}`);
+        console.log(`  Bad Length:          ${this.malformedPackets['bad-length']}`);
+        console.log(`  Bad Checksum:        ${this.malformedPackets['bad-checksum']}`);
+        console.log(`Foreign Packets:       ${this.foreignPackets}`);
+        console.log(`Sessions Completed:    ${this.sessionsCompleted}`);
+        console.log(`Sessions Expired:      ${this.sessionsExpired}`);
+        console.log(`Sessions Rejected:     ${this.sessionsRejected}`);
+        const pipeStats = this.pipe.getStats();
+        console.log(`Pipe Drops:            ${pipeStats.dropped}`);
+        console.log(`Pipe Corruptions:      ${pipeStats.corrupted}`);
+        console.log(`Pipe Truncations:      ${pipeStats.truncated}`);
+        console.log(`Pipe Duplicates:       ${pipeStats.duplicated}`);
+        console.log(`Pipe Reorders:         ${pipeStats.reordered}`);
+        console.log(`Pipe Queue Drops:      ${pipeStats.queueDropped}`);
+        console.log(`Pipe Scripted:         ${pipeStats.scripted}`);
+        console.log(`Undetected Errors:     ${pipeStats.undetected}`);
+        console.log(`Random Seed:           ${this.pipe.random.seed}`);
         console.log(`Error Rate:            ${errorRate}%`);
-        console.log(`Output File:           ${this.outputFilename}`);
         console.log('=========================================');
     }
 }
 
 // Main execution
 if (require.main === module) {
-    const receiver = new Receiver(5555, 1, 0, 0, 0);
+    const receiver = new Receiver(5555, 1, 0, 0, 0, {
+        seed: process.env.RDT_SEED,
+        scenario: process.env.RDT_SCENARIO
+    });
     receiver.start();
+
+    // Serve until interrupted, then print the totals
+    process.on('SIGINT', () => {
+        receiver.stop();
+    });
 }
 
 module.exports = Receiver;
@@ -5,140 +5,39 @@
  * Sends file chunks with automatic retransmission on timeout.
  * 
  * Protocol Flow:
+ * 0. Announce the transfer with SYN (session ID + file metadata), wait for SYN-ACK
  * 1. Read file chunk
  * 2. Send packet with sequence number
- * 3. Wait for ACK with timeout
+ * 3. Wait for ACK with an adaptive timeout (RTO from measured RTT)
  * 4. If timeout/bad ACK -> retransmit (up to 5 times)
  * 5. If valid ACK -> toggle sequence number and continue
+ * 6. After the last chunk -> send FIN and wait for FIN-ACK before closing
+ * 
+ * With windowSize > 1 the sender runs Go-Back-N instead: up to windowSize
+ * packets in flight, cumulative ACKs, and a single timer that resends the
+ * whole window on timeout. Selective Repeat (options.protocol) keeps a
+ * timer per packet and resends only the packets that time out.
  * 
  * @author Zshah2
  * @version 1.0
  */
 
+const crypto = require('crypto');
 const dgram = require('dgram');
 const fs = require('fs');
+const path = require('path');
 
-// Import Packet and Pipe classes (see Packet.js and Pipe.js)
-class Packet {
-    static HEADER_SIZE = 8;
-    static MAX_DATA_SIZE = 500;
-    static MAX_PACKET_SIZE = Packet.HEADER_SIZE + Packet.MAX_DATA_SIZE;
-    static ACK_PACKET_SIZE = Packet.HEADER_SIZE;
-
-    constructor(seqnoOrAckno, data = null) {
-        if (!Number.isInteger(seqnoOrAckno) || seqnoOrAckno < 0) {
-            throw new Error('Invalid sequence number');
-        }
-        this.seqno = seqnoOrAckno;
-        this.data = data !== null ? data : null;
-        this.len = data !== null ? (Packet.HEADER_SIZE + data.length) : Packet.HEADER_SIZE;
-        this.cksum = this.calculateChecksum();
-    }
-
-    calculateChecksum() {
-        let sum = 0;
-        sum += (this.seqno & 0xFF);
-        sum += ((this.seqno >> 8) & 0xFF);
-        sum += ((this.seqno >> 16) & 0xFF);
-        sum += ((this.seqno >> 24) & 0xFF);
-        if (this.data !== null) {
-            for (let byte of this.data) {
-                sum += (byte & 0xFF);
-            }
-        }
-        return sum % 256;
-    }
-
-    verifyChecksum() {
-        return this.cksum === this.calculateChecksum();
-    }
-
-    toByteArray() {
-        const buffer = new ArrayBuffer(this.len);
-        const view = new DataView(buffer);
-        view.setInt16(0, this.cksum, false);
-        view.setInt16(2, this.len, false);
-        view.setInt32(4, this.seqno, false);
-        if (this.data !== null && this.data.length > 0) {
-            for (let i = 0; i < this.data.length; i++) {
-                view.setUint8(Packet.HEADER_SIZE + i, this.data[i]);
-            }
-        }
-        return new Uint8Array(buffer);
-    }
-
-    static fromByteArray(bytes) {
-        if (bytes.length < Packet.HEADER_SIZE) {
-            throw new Error('Packet too small');
-        }
-        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
-        const packet = new Packet(0);
-        packet.cksum = view.getInt16(0, false);
-        packet.len = view.getInt16(2, false);
-        packet.seqno = view.getInt32(4, false);
-        const dataLength = packet.len - Packet.HEADER_SIZE;
-        if (dataLength > 0) {
-            packet.data = new Uint8Array(dataLength);
-            for (let i = 0; i < dataLength; i++) {
-                packet.data[i] = view.getUint8(Packet.HEADER_SIZE + i);
-            }
-        }
-        return packet;
-    }
-
-    isAckPacket() {
-        return this.data === null || this.data.length === 0;
-    }
-
-    isDataPacket() {
-        return !this.isAckPacket();
-    }
-
-    toString() {
-        if (this.isAckPacket()) {
-            return `ACK [seq=${this.seqno}, cksum=${this.cksum}]`;
-        } else {
-            return `DATA [seq=${this.seqno}, len=${this.len}, size=${this.data.length}, cksum=${this.cksum}]`;
-        }
-    }
-}
-
-class Pipe {
-    constructor(lossRate = 0.0, corruptionRate = 0.0, delay = 0) {
-        this.lossRate = Math.max(0, Math.min(1, lossRate));
-        this.corruptionRate = Math.max(0, Math.min(1, corruptionRate));
-        this.delay = Math.max(0, delay);
-    }
-
-    async send(packet) {
-        if (this.delay > 0) {
-            await this.sleep(this.delay);
-        }
-        if (Math.random() < this.lossRate) {
-            console.log(`[PIPE] Packet ${packet.seqno} LOST`);
-            return null;
-        }
-        if (Math.random() < this.corruptionRate) {
-            console.log(`[PIPE] Packet ${packet.seqno} CORRUPTED`);
-            packet.cksum = Math.floor(Math.random() * 256);
-            return packet;
-        }
-        return packet;
-    }
-
-    isPacketValid(packet) {
-        if (packet === null) return false;
-        return packet.verifyChecksum();
-    }
-
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
+// Import Packet, Pipe and FaultScenario classes (see Packet.js, Pipe.js and FaultScenario.js)
+const Packet = require('./Packet');
+const Pipe = require('./Pipe');
+const FaultScenario = require('./FaultScenario');
 
-    toString() {
-        return `Pipe [loss=${(this.lossRate * 100).toFixed(1)}%, corruption=${(this.corruptionRate * 100).toFixed(1)}%, delay=${this.delay}ms]`;
-    }
-}
+// Protocol modes selectable through options.protocol
+const PROTOCOL_NAMES = {
+    'stop-and-wait': 'Stop-and-Wait',
+    'go-back-n': 'Go-Back-N',
+    'selective-repeat': 'Selective Repeat'
+};
 
 /**
  * Sender Implementation
@@ -151,49 +50,106 @@ class Sender {
      * @param {number} serverPort - Server port (default: 5555)
      * @param {number} clientPort - Local client port (default: 5556)
      * @param {string} filename - File to send (default: test.txt)
-     * @param {number} windowSize - Window size for future use (default: 1)
+     * @param {number} windowSize - Window size (1 = Stop-and-Wait, >1 = Go-Back-N)
      * @param {number} lossRate - Network loss rate (0-1)
      * @param {number} corruptionRate - Network corruption rate (0-1)
      * @param {number} delay - Network delay in ms
+     * @param {Object} options - Additional settings
+     * @param {string} options.protocol - 'stop-and-wait', 'go-back-n' or 'selective-repeat'
+     *                                    (default: Go-Back-N if windowSize > 1)
+     * @param {Object} options.pipe - Extra Pipe settings, see the Pipe constructor
+     * @param {number} options.seed - Seed for the Pipe's random decisions, to replay a run (default: random)
+     * @param {string|FaultScenario} options.scenario - Scripted faults: a built-in scenario name or a scenario file (default: none)
+     * @param {string} options.checksum - 'sum8', 'internet' or 'crc32' (default: Packet.DEFAULT_CHECKSUM)
+     * 
+     * @throws {Error} If the protocol or checksum algorithm is unknown, or the scenario cannot be loaded
      */
     constructor(serverAddress, serverPort, clientPort, filename, windowSize,
-                lossRate = 0, corruptionRate = 0, delay = 0) {
+                lossRate = 0, corruptionRate = 0, delay = 0, options = {}) {
         this.serverAddress = serverAddress;
         this.serverPort = serverPort;
         this.clientPort = clientPort;
         this.filename = filename;
         this.windowSize = windowSize;
-        this.pipe = new Pipe(lossRate, corruptionRate, delay);
+        this.protocol = options.protocol || (windowSize > 1 ? 'go-back-n' : 'stop-and-wait');
+        this.pipe = new Pipe(lossRate, corruptionRate, delay, {
+            seed: options.seed,
+            scenario: options.scenario ? FaultScenario.load(options.scenario) : null,
+            ...options.pipe
+        });
+
+        this.checksum = options.checksum || Packet.DEFAULT_CHECKSUM;
+
+        if (!PROTOCOL_NAMES[this.protocol]) {
+            throw new Error(`Unknown protocol: ${this.protocol}`);
+        }
+        if (Packet.CHECKSUM_IDS[this.checksum] === undefined) {
+            throw new Error(`Unknown checksum algorithm: ${this.checksum}`);
+        }
 
         // Protocol state
+        this.sessionId = crypto.randomInt(1, 0xFFFFFFFF);  // Non-zero, identifies this transfer
         this.currentSeqno = 0;
-        this.timeout = 2000;  // 2-second timeout
+        this.initialTimeout = 2000;
+        this.timeout = this.initialTimeout;  // Current retransmission timeout (RTO), starts at 2 seconds
+        this.backedOff = false;              // RTO doubled since the last RTT sample
+        this.minTimeout = 100;
+        this.maxTimeout = 60000;
         this.maxRetries = 5;  // Maximum retransmission attempts
 
+        // RTT estimator (RFC 6298)
+        this.srtt = null;     // Smoothed round-trip time
+        this.rttvar = null;   // Round-trip time variation
+
         // Statistics
         this.packetsSent = 0;
         this.acksReceived = 0;
+        this.naksReceived = 0;
         this.retransmissions = 0;
         this.timeouts = 0;
+        this.rttSamples = 0;
+        this.rttMin = Infinity;
+        this.rttMax = 0;
+        this.rttTotal = 0;
 
         // UDP socket
         this.socket = dgram.createSocket('udp4');
+        this.socketClosed = false;
+        this.ackQueue = [];
+        this.ackWaiter = null;
+
+        this.socket.on('message', (msg, rinfo) => {
+            if (this.ackWaiter) {
+                this.ackWaiter(msg);
+            } else {
+                this.ackQueue.push(msg);
+            }
+        });
     }
 
     /**
      * Initialize sender and print configuration
      */
     start() {
+        const mode = this.protocol === 'stop-and-wait'
+            ? PROTOCOL_NAMES[this.protocol]
+            : `${PROTOCOL_NAMES[this.protocol]} (window=${this.windowSize})`;
+
         console.log(`[CLIENT] Started on port ${this.clientPort}`);
         console.log(`[CLIENT] Target: ${this.serverAddress}:${this.serverPort}`);
         console.log(`[CLIENT] File: ${this.filename}`);
+        console.log(`[CLIENT] Session ID: ${this.sessionId}`);
+        console.log(`[CLIENT] Mode: ${mode}`);
+        console.log(`[CLIENT] Checksum: ${this.checksum}`);
+        console.log(`[CLIENT] Initial RTO: ${this.timeout} ms`);
         console.log(`[PIPE] ${this.pipe.toString()}`);
+        console.log(`[PIPE] Random seed: ${this.pipe.random.seed} (pass options.seed or RDT_SEED to replay)`);
         console.log('');
     }
 
     /**
      * Main send file function
-     * Implements Stop-and-Wait protocol
+     * Dispatches to the Stop-and-Wait, Go-Back-N or Selective Repeat loop
      * 
      * @async
      */
@@ -206,119 +162,621 @@ class Sender {
             }
 
             const fileData = fs.readFileSync(this.filename);
-            let offset = 0;
 
-            // Process file in chunks
-            while (offset < fileData.length) {
-                const chunkSize = Math.min(Packet.MAX_DATA_SIZE, fileData.length - offset);
-                const chunk = fileData.slice(offset, offset + chunkSize);
-                offset += chunkSize;
+            // The receiver has to accept the transfer before any data is sent
+            if (!(await this.openConnection(fileData.length))) {
+                this.printStatistics();
+                this.closeSocket();
+                return;
+            }
+
+            let delivered;
+            let finSeqno;
+
+            if (this.protocol === 'selective-repeat') {
+                delivered = await this.sendSelectiveRepeat(fileData);
+                finSeqno = Math.ceil(fileData.length / Packet.MAX_DATA_SIZE);
+            } else if (this.protocol === 'go-back-n') {
+                delivered = await this.sendGoBackN(fileData);
+                finSeqno = Math.ceil(fileData.length / Packet.MAX_DATA_SIZE);
+            } else {
+                delivered = await this.sendStopAndWait(fileData);
+                finSeqno = this.currentSeqno;
+            }
+
+            // Tear down only once the receiver has every chunk
+            if (delivered) {
+                await this.closeConnection(finSeqno);
+            }
+
+            // Print final statistics
+            this.printStatistics();
+            this.closeSocket();
+
+        } catch (e) {
+            console.error(`[ERROR] ${e.message}`);
+        }
+    }
+
+    /**
+     * Connection setup handshake
+     * Sends a SYN carrying the session ID in its header and the file
+     * metadata (name, size, chunk size) as a JSON payload, and retransmits
+     * it until the receiver answers with SYN-ACK (accepted) or RST (rejected).
+     * 
+     * @private
+     * @async
+     * @param {number} fileSize - Total number of bytes that will be sent
+     * @returns {Promise<boolean>} True if the receiver accepted the transfer
+     */
+    async openConnection(fileSize) {
+        const metadata = Buffer.from(JSON.stringify({
+            filename: path.basename(this.filename),
+            size: fileSize,
+            chunkSize: Packet.MAX_DATA_SIZE
+        }));
+
+        if (metadata.length > Packet.MAX_DATA_SIZE) {
+            console.error(`[ERROR] File name too long for SYN: ${this.filename}`);
+            return false;
+        }
+
+        let attempts = 0;
+
+        while (attempts < this.maxRetries) {
+            this.sendPacket(new Packet(0, metadata, Packet.FLAG_SYN, this.sessionId, this.checksum));
+            const sentAt = Date.now();
+
+            if (attempts > 0) {
+                this.retransmissions++;
+                console.log(`[CLIENT] RETRANSMISSION #${attempts} - SYN session: ${this.sessionId}`);
+            } else {
+                console.log(`[CLIENT] Sent SYN - Session: ${this.sessionId}, File size: ${fileSize} bytes`);
+            }
+
+            const deadline = sentAt + this.timeout;
+            let ackData;
+
+            while ((ackData = await this.receiveACK(Math.max(0, deadline - Date.now()))) !== null) {
+                try {
+                    const ackPacket = Packet.fromByteArray(ackData);
+
+                    if (!this.isSessionPacket(ackPacket)) {
+                        continue;
+                    }
+
+                    if (ackPacket.isRst()) {
+                        const reason = ackPacket.data ? Buffer.from(ackPacket.data).toString() : 'no reason given';
+                        console.error(`[ERROR] Receiver rejected the transfer: ${reason}`);
+                        return false;
+                    }
+
+                    if (ackPacket.isSyn() && ackPacket.isAckPacket()) {
+                        console.log(`[CLIENT] SYN-ACK received - Session: ${this.sessionId}`);
+                        if (attempts === 0) {
+                            this.updateRTT(Date.now() - sentAt);
+                        }
+                        return true;
+                    }
+                } catch (e) {
+                    console.error(`[ERROR] ${e.message}`);
+                }
+            }
+
+            console.log(`[CLIENT] TIMEOUT waiting for SYN-ACK`);
+            this.timeouts++;
+            attempts++;
+            this.backoffTimeout();
+        }
+
+        console.error(`[ERROR] No SYN-ACK after ${this.maxRetries} attempts`);
+        return false;
+    }
+
+    /**
+     * Stop-and-Wait transfer loop
+     * Sends one chunk at a time and alternates the sequence number
+     * 
+     * @private
+     * @async
+     * @param {Buffer} fileData - Complete file contents
+     * @returns {Promise<boolean>} True if every chunk was acknowledged
+     */
+    async sendStopAndWait(fileData) {
+        let offset = 0;
+
+        // Process file in chunks
+        while (offset < fileData.length) {
+            const chunkSize = Math.min(Packet.MAX_DATA_SIZE, fileData.length - offset);
+            const chunk = fileData.slice(offset, offset + chunkSize);
+            offset += chunkSize;
+
+            // Send packet with Stop-and-Wait protocol
+            let ackReceived = false;
+            let attempts = 0;
+            let sentAt = 0;
+
+            while (!ackReceived && attempts < this.maxRetries) {
+                // Create packet with current sequence number
+                const dataPacket = new Packet(this.currentSeqno, chunk, 0, this.sessionId, this.checksum);
+
+                // Send packet
+                this.sendPacket(dataPacket);
+                sentAt = Date.now();
+
+                if (attempts > 0) {
+                    this.retransmissions++;
+                    console.log(`[CLIENT] RETRANSMISSION #${attempts} - Seq: ${this.currentSeqno}, Size: ${chunkSize} bytes`);
+                } else {
+                    console.log(`[CLIENT] Sent packet - Seq: ${this.currentSeqno}, Size: ${chunkSize} bytes`);
+                }
 
-                // Send packet with Stop-and-Wait protocol
-                let ackReceived = false;
-                let attempts = 0;
+                // Wait for the matching ACK until the RTO runs out. As in rdt3.0, a corrupted,
+                // duplicate or stale ACK is ignored; only a NAK or the timeout resends.
+                const deadline = sentAt + this.timeout;
+                let nakReceived = false;
+                let ackData;
 
-                while (!ackReceived && attempts < this.maxRetries) {
+                while (!ackReceived && !nakReceived && (ackData = await this.receiveACK(Math.max(0, deadline - Date.now()))) !== null) {
                     try {
-                        // Create packet with current sequence number
-                        const dataPacket = new Packet(this.currentSeqno, chunk);
-                        const packetBytes = dataPacket.toByteArray();
+                        const ackPacket = Packet.fromByteArray(ackData);
 
-                        // Send packet
-                        await this.sendPacket(packetBytes);
+                        // Validate ACK
+                        if (this.isDataACK(ackPacket) && ackPacket.seqno === this.currentSeqno) {
+                            console.log(`[CLIENT] ACK received for seq: ${this.currentSeqno}`);
+                            this.acksReceived++;
+                            ackReceived = true;
 
-                        if (attempts > 0) {
-                            this.retransmissions++;
-                            console.log(`[CLIENT] RETRANSMISSION #${attempts} - Seq: ${this.currentSeqno}, Size: ${chunkSize} bytes`);
+                            // Karn's rule: only sample packets that were never retransmitted
+                            if (attempts === 0) {
+                                this.updateRTT(Date.now() - sentAt);
+                            }
+                            this.currentSeqno = 1 - this.currentSeqno;  // Toggle: 0 -> 1, 1 -> 0
+                        } else if (this.isSessionPacket(ackPacket) && ackPacket.isNak() && ackPacket.seqno === this.currentSeqno) {
+                            // Receiver saw a corrupted packet: resend now instead of waiting out the RTO
+                            console.log(`[CLIENT] NAK received for seq: ${this.currentSeqno} - Retransmitting`);
+                            this.naksReceived++;
+                            nakReceived = true;
                         } else {
-                            console.log(`[CLIENT] Sent packet - Seq: ${this.currentSeqno}, Size: ${chunkSize} bytes`);
+                            console.log(`[CLIENT] Duplicate or stale ${ackPacket.getType()} ${ackPacket.seqno} ignored`);
                         }
+                    } catch (e) {
+                        console.log(`[CLIENT] Corrupted ACK ignored (${e.message})`);
+                    }
+                }
 
-                        // Wait for ACK
-                        const ackData = await this.receiveACK();
-
-                        if (ackData) {
-                            // Parse ACK packet
-                            const ackPacket = Packet.fromByteArray(ackData);
-
-                            // Validate ACK
-                            if (this.pipe.isPacketValid(ackPacket) && ackPacket.seqno === this.currentSeqno) {
-                                console.log(`[CLIENT] ACK received for seq: ${this.currentSeqno}`);
-                                this.acksReceived++;
-                                ackReceived = true;
-                                this.currentSeqno = 1 - this.currentSeqno;  // Toggle: 0 -> 1, 1 -> 0
-                            } else {
-                                console.log(`[CLIENT] Invalid ACK or wrong seq number`);
-                                attempts++;
-                            }
+                if (ackReceived) {
+                    break;
+                }
+
+                attempts++;
+                if (!nakReceived) {
+                    console.log(`[CLIENT] TIMEOUT waiting for ACK`);
+                    this.timeouts++;
+                    this.backoffTimeout();
+                }
+            }
+
+            if (!ackReceived) {
+                console.error(`[ERROR] Failed to send packet after ${this.maxRetries} attempts`);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Go-Back-N transfer loop
+     * Keeps up to windowSize unacknowledged packets in flight with a single
+     * timer for the oldest one. Cumulative ACKs slide the window forward;
+     * a timeout resends every outstanding packet starting from the base.
+     * 
+     * @private
+     * @async
+     * @param {Buffer} fileData - Complete file contents
+     * @returns {Promise<boolean>} True if every packet was acknowledged
+     */
+    async sendGoBackN(fileData) {
+        const totalPackets = Math.ceil(fileData.length / Packet.MAX_DATA_SIZE);
+        let base = 0;
+        let nextSeqno = 0;
+        let timerStart = 0;
+        let attempts = 0;
+        const sendTimes = new Map();  // seqno -> first send time, dropped once retransmitted
+
+        while (base < totalPackets) {
+            // Fill the window with new packets
+            while (nextSeqno < base + this.windowSize && nextSeqno < totalPackets) {
+                const chunk = this.getChunk(fileData, nextSeqno);
+                this.sendPacket(new Packet(nextSeqno, chunk, 0, this.sessionId, this.checksum));
+                console.log(`[CLIENT] Sent packet - Seq: ${nextSeqno}, Size: ${chunk.length} bytes, Window: [${base}, ${base + this.windowSize - 1}]`);
+                sendTimes.set(nextSeqno, Date.now());
+
+                // Single timer runs for the oldest unacknowledged packet
+                if (base === nextSeqno) {
+                    timerStart = Date.now();
+                }
+                nextSeqno++;
+            }
+
+            // Wait for an ACK until the oldest packet's timer expires
+            const remaining = Math.max(0, this.timeout - (Date.now() - timerStart));
+            const ackData = await this.receiveACK(remaining);
+
+            if (ackData) {
+                try {
+                    const ackPacket = Packet.fromByteArray(ackData);
+
+                    // Cumulative ACK: everything up to ackno has arrived in order
+                    if (this.isDataACK(ackPacket) && ackPacket.seqno >= base && ackPacket.seqno < nextSeqno) {
+                        console.log(`[CLIENT] Cumulative ACK received for seq: ${ackPacket.seqno}`);
+                        this.acksReceived++;
+
+                        // Karn's rule: skip the sample if this packet was retransmitted
+                        if (sendTimes.has(ackPacket.seqno)) {
+                            this.updateRTT(Date.now() - sendTimes.get(ackPacket.seqno));
                         } else {
-                            console.log(`[CLIENT] TIMEOUT waiting for ACK`);
-                            this.timeouts++;
-                            attempts++;
+                            this.restoreTimeout();
+                        }
+                        for (let seqno = base; seqno <= ackPacket.seqno; seqno++) {
+                            sendTimes.delete(seqno);
                         }
 
-                    } catch (e) {
-                        console.error(`[ERROR] ${e.message}`);
-                        attempts++;
+                        base = ackPacket.seqno + 1;
+                        attempts = 0;
+                        timerStart = Date.now();
+                    } else {
+                        console.log(`[CLIENT] Invalid or duplicate ACK ignored`);
                     }
+                } catch (e) {
+                    console.error(`[ERROR] ${e.message}`);
                 }
+            } else {
+                console.log(`[CLIENT] TIMEOUT waiting for ACK - Go back to seq: ${base}`);
+                this.timeouts++;
+                attempts++;
+                this.backoffTimeout();
 
-                if (!ackReceived) {
+                if (attempts >= this.maxRetries) {
                     console.error(`[ERROR] Failed to send packet after ${this.maxRetries} attempts`);
-                    break;
+                    return false;
                 }
+
+                // Resend every packet in the window
+                for (let seqno = base; seqno < nextSeqno; seqno++) {
+                    const chunk = this.getChunk(fileData, seqno);
+                    this.sendPacket(new Packet(seqno, chunk, 0, this.sessionId, this.checksum));
+                    this.retransmissions++;
+                    sendTimes.delete(seqno);
+                    console.log(`[CLIENT] RETRANSMISSION #${attempts} - Seq: ${seqno}, Size: ${chunk.length} bytes`);
+                }
+                timerStart = Date.now();
             }
+        }
 
-            // Print final statistics
-            this.printStatistics();
-            this.socket.close();
+        return true;
+    }
 
-        } catch (e) {
-            console.error(`[ERROR] ${e.message}`);
+    /**
+     * Selective Repeat transfer loop
+     * Every packet in the window has its own timer (tracked as a deadline)
+     * and is resent on its own when that timer expires. ACKs are individual,
+     * and the window base slides past every acknowledged packet.
+     * 
+     * @private
+     * @async
+     * @param {Buffer} fileData - Complete file contents
+     * @returns {Promise<boolean>} True if every packet was acknowledged
+     */
+    async sendSelectiveRepeat(fileData) {
+        const totalPackets = Math.ceil(fileData.length / Packet.MAX_DATA_SIZE);
+        const timers = new Map();   // seqno -> { sentAt, deadline, attempts } for unACKed packets
+        const acked = new Set();    // ACKed packets above the window base
+        let base = 0;
+        let nextSeqno = 0;
+
+        while (base < totalPackets) {
+            // Fill the window with new packets, each with its own timer
+            while (nextSeqno < base + this.windowSize && nextSeqno < totalPackets) {
+                const chunk = this.getChunk(fileData, nextSeqno);
+                this.sendPacket(new Packet(nextSeqno, chunk, 0, this.sessionId, this.checksum));
+                console.log(`[CLIENT] Sent packet - Seq: ${nextSeqno}, Size: ${chunk.length} bytes, Window: [${base}, ${base + this.windowSize - 1}]`);
+                timers.set(nextSeqno, { sentAt: Date.now(), deadline: Date.now() + this.timeout, attempts: 0 });
+                nextSeqno++;
+            }
+
+            // Wait for an ACK until the earliest timer expires
+            let earliest = Infinity;
+            for (const timer of timers.values()) {
+                earliest = Math.min(earliest, timer.deadline);
+            }
+            const ackData = await this.receiveACK(Math.max(0, earliest - Date.now()));
+
+            if (ackData) {
+                try {
+                    const ackPacket = Packet.fromByteArray(ackData);
+
+                    if (this.isDataACK(ackPacket) && timers.has(ackPacket.seqno)) {
+                        console.log(`[CLIENT] ACK received for seq: ${ackPacket.seqno}`);
+                        this.acksReceived++;
+
+                        // Karn's rule: only sample packets that were never retransmitted
+                        const timer = timers.get(ackPacket.seqno);
+                        if (timer.attempts === 0) {
+                            this.updateRTT(Date.now() - timer.sentAt);
+                        }
+                        timers.delete(ackPacket.seqno);
+                        acked.add(ackPacket.seqno);
+
+                        // Slide the window past every acknowledged packet
+                        while (acked.has(base)) {
+                            acked.delete(base);
+                            base++;
+                        }
+                    } else {
+                        console.log(`[CLIENT] Invalid or duplicate ACK ignored`);
+                    }
+                } catch (e) {
+                    console.error(`[ERROR] ${e.message}`);
+                }
+            }
+
+            // Resend only the packets whose timers have expired
+            const now = Date.now();
+            let backedOff = false;
+            for (const [seqno, timer] of timers) {
+                if (timer.deadline > now) {
+                    continue;
+                }
+
+                // Back off once per expiry pass, not once per expired packet
+                if (!backedOff) {
+                    this.backoffTimeout();
+                    backedOff = true;
+                }
+
+                console.log(`[CLIENT] TIMEOUT waiting for ACK - Seq: ${seqno}`);
+                this.timeouts++;
+                timer.attempts++;
+
+                if (timer.attempts >= this.maxRetries) {
+                    console.error(`[ERROR] Failed to send packet after ${this.maxRetries} attempts`);
+                    return false;
+                }
+
+                const chunk = this.getChunk(fileData, seqno);
+                this.sendPacket(new Packet(seqno, chunk, 0, this.sessionId, this.checksum));
+                this.retransmissions++;
+                console.log(`[CLIENT] RETRANSMISSION #${timer.attempts} - Seq: ${seqno}, Size: ${chunk.length} bytes`);
+                timer.deadline = Date.now() + this.timeout;
+            }
         }
+
+        return true;
     }
 
     /**
-     * Send packet through network
+     * End-of-transfer handshake
+     * Sends FIN with the sequence number that follows the last data packet
+     * and retransmits it until the matching FIN-ACK arrives. Leftover ACKs
+     * from the data phase are skipped while waiting.
      * 
      * @private
      * @async
-     * @param {Uint8Array} packetBytes - Packet data to send
-     * @returns {Promise<void>}
+     * @param {number} finSeqno - Sequence number carried by the FIN
+     * @returns {Promise<boolean>} True if the receiver confirmed the FIN
      */
-    sendPacket(packetBytes) {
-        return new Promise((resolve, reject) => {
-            this.socket.send(packetBytes, 0, packetBytes.length, this.serverPort,
-                           this.serverAddress, (err) => {
-                if (err) reject(err);
-                else {
-                    this.packetsSent++;
-                    resolve();
+    async closeConnection(finSeqno) {
+        let attempts = 0;
+
+        while (attempts < this.maxRetries) {
+            this.sendPacket(new Packet(finSeqno, null, Packet.FLAG_FIN, this.sessionId, this.checksum));
+
+            if (attempts > 0) {
+                this.retransmissions++;
+                console.log(`[CLIENT] RETRANSMISSION #${attempts} - FIN seq: ${finSeqno}`);
+            } else {
+                console.log(`[CLIENT] Sent FIN - Seq: ${finSeqno}`);
+            }
+
+            const deadline = Date.now() + this.timeout;
+            let ackData;
+
+            while ((ackData = await this.receiveACK(Math.max(0, deadline - Date.now()))) !== null) {
+                try {
+                    const ackPacket = Packet.fromByteArray(ackData);
+
+                    if (this.isSessionPacket(ackPacket) && ackPacket.isFin() && ackPacket.isAckPacket() && ackPacket.seqno === finSeqno) {
+                        console.log(`[CLIENT] FIN-ACK received for seq: ${finSeqno}`);
+                        return true;
+                    }
+                } catch (e) {
+                    console.error(`[ERROR] ${e.message}`);
                 }
-            });
+            }
+
+            console.log(`[CLIENT] TIMEOUT waiting for FIN-ACK`);
+            this.timeouts++;
+            attempts++;
+            this.backoffTimeout();
+        }
+
+        console.error(`[ERROR] No FIN-ACK after ${this.maxRetries} attempts`);
+        return false;
+    }
+
+    /**
+     * Check that a packet is intact and belongs to this transfer
+     * 
+     * @private
+     * @param {Packet} packet - Packet received from the receiver
+     * @returns {boolean} True if checksum and session ID match
+     */
+    isSessionPacket(packet) {
+        return this.pipe.isPacketValid(packet) && packet.sessionId === this.sessionId;
+    }
+
+    /**
+     * Check that a packet is a plain data-phase ACK for this transfer
+     * NAKs and late SYN-ACKs or FIN-ACKs are not mistaken for data ACKs.
+     * 
+     * @private
+     * @param {Packet} packet - Packet received from the receiver
+     * @returns {boolean} True if it can acknowledge a data packet
+     */
+    isDataACK(packet) {
+        return this.isSessionPacket(packet) && packet.flags === Packet.FLAG_ACK;
+    }
+
+    /**
+     * Feed a round-trip time sample into the RTO estimator
+     * Follows RFC 6298: SRTT and RTTVAR are exponentially weighted averages
+     * and RTO = SRTT + 4 * RTTVAR, clamped to [minTimeout, maxTimeout].
+     * A fresh sample also undoes any exponential backoff.
+     * 
+     * @private
+     * @param {number} sampleMs - Measured round-trip time in milliseconds
+     */
+    updateRTT(sampleMs) {
+        if (this.srtt === null) {
+            this.srtt = sampleMs;
+            this.rttvar = sampleMs / 2;
+        } else {
+            this.rttvar = 0.75 * this.rttvar + 0.25 * Math.abs(this.srtt - sampleMs);
+            this.srtt = 0.875 * this.srtt + 0.125 * sampleMs;
+        }
+
+        this.timeout = this.estimateTimeout();
+        this.backedOff = false;
+
+        this.rttSamples++;
+        this.rttTotal += sampleMs;
+        this.rttMin = Math.min(this.rttMin, sampleMs);
+        this.rttMax = Math.max(this.rttMax, sampleMs);
+    }
+
+    /**
+     * Double the retransmission timeout after a timeout (exponential backoff)
+     * 
+     * @private
+     */
+    backoffTimeout() {
+        this.timeout = Math.min(this.maxTimeout, this.timeout * 2);
+        this.backedOff = true;
+        console.log(`[CLIENT] RTO backed off to ${this.timeout} ms`);
+    }
+
+    /**
+     * Undo the backoff when a Go-Back-N ACK makes progress without an RTT sample
+     * After a timeout Go-Back-N resends the whole window. If that burst overflows
+     * the Pipe's queue, the packets behind the gap are discarded by the receiver
+     * and resent too, so every ACKed packet was retransmitted and Karn's rule never
+     * yields the fresh sample that would bring the RTO back down. An ACK for new
+     * data shows the path works, so the RTO returns to the current estimate and
+     * the next packet ACKed without a retransmission refines it as usual.
+     * 
+     * @private
+     */
+    restoreTimeout() {
+        if (!this.backedOff) return;
+
+        this.timeout = this.srtt === null ? this.initialTimeout : this.estimateTimeout();
+        this.backedOff = false;
+        console.log(`[CLIENT] RTO restored to ${this.timeout} ms`);
+    }
+
+    /**
+     * RTO from the RTT estimator: SRTT + 4 * RTTVAR, clamped to [minTimeout, maxTimeout]
+     * 
+     * @private
+     * @returns {number} Retransmission timeout in milliseconds
+     */
+    estimateTimeout() {
+        const rto = this.srtt + Math.max(1, 4 * this.rttvar);
+        return Math.round(Math.min(this.maxTimeout, Math.max(this.minTimeout, rto)));
+    }
+
+    /**
+     * Get the file chunk carried by a given pipelined sequence number
+     * 
+     * @private
+     * @param {Buffer} fileData - Complete file contents
+     * @param {number} seqno - Sequence number (chunk index)
+     * @returns {Buffer} Chunk payload
+     */
+    getChunk(fileData, seqno) {
+        const offset = seqno * Packet.MAX_DATA_SIZE;
+        return fileData.slice(offset, offset + Packet.MAX_DATA_SIZE);
+    }
+
+    /**
+     * Send packet through network
+     * The packet first passes through the Pipe, which applies the
+     * configured impairments and may deliver zero, one or two datagrams.
+     * Delivery continues in the background so a pipelined window is not
+     * held up by the delay.
+     * 
+     * @private
+     * @param {Packet} packet - Packet to send
+     */
+    sendPacket(packet) {
+        this.packetsSent++;
+
+        this.pipe.send(packet).then((datagrams) => {
+            // The transfer ended while the packet was in flight
+            if (this.socketClosed) {
+                return;
+            }
+
+            for (const packetBytes of datagrams) {
+                this.socket.send(packetBytes, 0, packetBytes.length, this.serverPort,
+                               this.serverAddress, (err) => {
+                    if (err) {
+                        console.error(`[ERROR] Failed to send packet: ${err.message}`);
+                    }
+                });
+            }
         });
     }
 
+    /**
+     * Close the UDP socket once the transfer is over
+     * Packets still delayed in the Pipe are discarded.
+     * 
+     * @private
+     */
+    closeSocket() {
+        this.socketClosed = true;
+        this.socket.close();
+    }
+
     /**
      * Wait for ACK from receiver with timeout
+     * ACKs that arrive while nobody is waiting are queued, so none are
+     * missed between calls when several packets are in flight.
      * 
      * @private
      * @async
+     * @param {number} timeoutMs - Maximum wait in milliseconds
      * @returns {Promise<Uint8Array|null>} ACK data or null on timeout
      */
-    receiveACK() {
-        return new Promise((resolve, reject) => {
+    receiveACK(timeoutMs = this.timeout) {
+        if (this.ackQueue.length > 0) {
+            return Promise.resolve(this.ackQueue.shift());
+        }
+
+        return new Promise((resolve) => {
             const timeoutId = setTimeout(() => {
+                this.ackWaiter = null;
                 resolve(null);  // Timeout
-            }, this.timeout);
+            }, timeoutMs);
 
-            const messageHandler = (msg, rinfo) => {
+            this.ackWaiter = (msg) => {
                 clearTimeout(timeoutId);
-                this.socket.off('message', messageHandler);
+                this.ackWaiter = null;
                 resolve(msg);
             };
-
-            this.socket.on('message', messageHandler);
         });
     }
 
@@ -331,16 +789,37 @@ class Sender {
         console.log('\n========== SENDER STATISTICS ==========');
         console.log(`Packets Sent:      ${this.packetsSent}`);
         console.log(`ACKs Received:     ${this.acksReceived}`);
+        console.log(`NAKs Received:     ${this.naksReceived}`);
         console.log(`Retransmissions:   ${this.retransmissions}`);
         console.log(`Timeouts:          ${this.timeouts}`);
         console.log(`Success Rate:      ${successRate}%`);
+        if (this.rttSamples > 0) {
+            const rttAvg = this.rttTotal / this.rttSamples;
+            console.log(`RTT min/avg/max:   ${this.rttMin}/${rttAvg.toFixed(1)}/${this.rttMax} ms`);
+        } else {
+            console.log(`RTT min/avg/max:   n/a (no samples)`);
+        }
+        console.log(`Final RTO:         ${this.timeout} ms`);
+        const pipeStats = this.pipe.getStats();
+        console.log(`Pipe Drops:        ${pipeStats.dropped}`);
+        console.log(`Pipe Corruptions:  ${pipeStats.corrupted}`);
+        console.log(`Pipe Truncations:  ${pipeStats.truncated}`);
+        console.log(`Pipe Duplicates:   ${pipeStats.duplicated}`);
+        console.log(`Pipe Reorders:     ${pipeStats.reordered}`);
+        console.log(`Pipe Queue Drops:  ${pipeStats.queueDropped}`);
+        console.log(`Pipe Scripted:     ${pipeStats.scripted}`);
+        console.log(`Undetected Errors: ${pipeStats.undetected}`);
+        console.log(`Random Seed:       ${this.pipe.random.seed}`);
         console.log('========================================');
     }
 }
 
 // Main execution
 if (require.main === module) {
-    const sender = new Sender('localhost', 5555, 5556, 'test.txt', 1, 0, 0, 0);
+    const sender = new Sender('localhost', 5555, 5556, 'test.txt', 1, 0, 0, 0, {
+        seed: process.env.RDT_SEED,
+        scenario: process.env.RDT_SCENARIO
+    });
     sender.start();
     sender.sendFile().catch(e => console.error(e));
 }
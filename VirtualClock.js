@@ -0,0 +1,197 @@
+/**
+ * VirtualClock Class - Simulated time for step-through debugging
+ * 
+ * Offers the same now() / setTimeout() / clearTimeout() calls as the
+ * wall clock (WALL_CLOCK), but time only moves when the clock is told
+ * to: play() advances it with real time at a chosen speed, step() jumps
+ * straight to the next pending timer. Anything that takes its clock as a
+ * parameter, like Pipe, can be paused and single-stepped this way.
+ * 
+ * Timers carry a label and a kind ('timer' or 'packet') so a debugger
+ * can list what is pending.
+ * 
+ * @author Zshah2
+ * @version 1.0
+ */
+
+// Real time, with the same interface as VirtualClock
+const WALL_CLOCK = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: id => clearTimeout(id)
+};
+
+class VirtualClock {
+    /**
+     * Constructor - Create a paused clock
+     * 
+     * @param {number} start - Starting time in ms since the epoch (default: now)
+     */
+    constructor(start = Date.now()) {
+        this.time = start;
+        this.timers = [];
+        this.nextId = 1;
+        this.speed = 1;
+        this.paused = true;
+        this.driver = null;
+
+        // Called after time has moved, e.g. to refresh a display
+        this.onTick = null;
+    }
+
+    /**
+     * Current virtual time
+     * 
+     * @returns {number} Time in ms since the epoch
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Schedule a callback after a virtual delay
+     * 
+     * @param {Function} callback - Called when the timer fires
+     * @param {number} ms - Delay in virtual milliseconds (default: 0)
+     * @param {string} label - Description for debugger displays (optional)
+     * @param {string} kind - 'timer' (default) or 'packet' for a packet in flight
+     * @returns {number} Timer id for clearTimeout()
+     */
+    setTimeout(callback, ms = 0, label = '', kind = 'timer') {
+        const id = this.nextId++;
+        this.timers.push({ id, at: this.time + Math.max(0, ms || 0), callback, label, kind });
+        return id;
+    }
+
+    /**
+     * Cancel a pending timer (unknown ids are ignored, as with the global clearTimeout)
+     * 
+     * @param {number} id - Timer id from setTimeout()
+     */
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    /**
+     * Pending timers, soonest first
+     * 
+     * @returns {Object[]} { id, at, label, kind } for each timer
+     */
+    pending() {
+        return this.timers
+            .map(({ id, at, label, kind }) => ({ id, at, label, kind }))
+            .sort((a, b) => a.at - b.at || a.id - b.id);
+    }
+
+    /**
+     * Run the next pending timer, moving time forward to it
+     * Resolves once the promise callbacks it triggered have run too.
+     * 
+     * @async
+     * @returns {Promise<boolean>} False if nothing was pending
+     */
+    async step() {
+        const [next] = this.pending();
+        if (!next) return false;
+
+        this.fire(next.id);
+        await this.settle();
+        if (this.onTick) this.onTick();
+        return true;
+    }
+
+    /**
+     * Let time run with real time, scaled by the speed
+     */
+    play() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.lastReal = Date.now();
+        this.driver = setTimeout(() => this.tick(), 16);
+    }
+
+    /**
+     * Stop time; pending timers stay pending
+     */
+    pause() {
+        this.paused = true;
+        clearTimeout(this.driver);
+        this.driver = null;
+    }
+
+    /**
+     * Change how fast virtual time runs while playing
+     * 
+     * @param {number} speed - Virtual milliseconds per real millisecond, e.g. 0.1 to 10
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    /**
+     * Advance time by the real time since the last tick and fire the
+     * timers that came due, one at a time
+     * 
+     * @private
+     * @async
+     */
+    async tick() {
+        const realNow = Date.now();
+        const target = this.time + (realNow - this.lastReal) * this.speed;
+        this.lastReal = realNow;
+
+        while (!this.paused) {
+            const [next] = this.pending();
+            if (!next || next.at > target) break;
+
+            this.fire(next.id);
+            await this.settle();
+        }
+
+        // A timer may have paused the clock (e.g. at a breakpoint); time stops where it fired
+        if (!this.paused) {
+            this.time = Math.max(this.time, target);
+            this.driver = setTimeout(() => this.tick(), 16);
+        }
+        if (this.onTick) this.onTick();
+    }
+
+    /**
+     * Remove a timer, move time to it and run its callback
+     * 
+     * @private
+     * @param {number} id - Timer id
+     */
+    fire(id) {
+        const timer = this.timers.find(candidate => candidate.id === id);
+        this.clearTimeout(id);
+        this.time = Math.max(this.time, timer.at);
+        timer.callback();
+    }
+
+    /**
+     * Wait one real macrotask, so every promise callback queued so far runs
+     * 
+     * @private
+     * @returns {Promise<void>}
+     */
+    settle() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    /**
+     * String representation of the clock
+     * 
+     * @returns {string} Clock description
+     */
+    toString() {
+        return `VirtualClock [time=${this.time}, speed=${this.speed}x, ${this.paused ? 'paused' : 'running'}, pending=${this.timers.length}]`;
+    }
+}
+
+// Export for Node.js; in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VirtualClock;
+    module.exports.WALL_CLOCK = WALL_CLOCK;
+}
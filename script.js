@@ -1,14 +1,44 @@
+// Session files written by exportSession()
+const SESSION_FORMAT = 'rdt-simulator-session';
+const SESSION_VERSION = 1;
+
 // Global state
 const state = {
     packetsSent: 0,
     acksReceived: 0,
     retransmissions: 0,
     packetsLost: 0,
+    duplicates: 0,
+    timeouts: 0,
     isWaiting: false,
     currentPacket: null,
-    animationInProgress: false,
     autoSendActive: false,
-    autoSendTimer: null
+    autoSendTimer: null,
+    random: null,
+    scenario: null,         // FaultScenario of the current run (see getRandom)
+
+    // rdt3.0 Stop-and-Wait state, mirroring Sender.js / Receiver.js
+    senderSeq: 0,           // Sequence number of the next new packet
+    expectedSeq: 0,         // Sequence number the receiver waits for
+    maxRetries: 5,          // Attempts per packet before giving up
+    timer: null,            // Retransmission timer of the packet in flight
+    forwardPipe: null,      // Sender -> receiver channel
+    reversePipe: null,      // Receiver -> sender channel
+    ladder: null,           // Space-time diagram of the run
+    machines: null,         // Sender and receiver FsmDiagram, created on first use
+    selectedFile: null,     // File picked or dropped for transfer
+    transfer: null,         // File transfer in progress (see sendFile)
+    comparison: null,       // ProtocolLane per protocol while a comparison runs
+    session: createSession(),   // Structured record of the run (see recordEvent)
+    loadedSession: null,    // Session imported from a file, for replay
+    replay: null,           // Replay in progress: { events, index, timer }
+    flights: new Map(),     // Flight id -> animation and ladder details while in the air
+    charts: null,           // LineChart per metric, created on first use
+    metrics: createMetrics(),   // Chart series, built from session events
+    clock: WALL_CLOCK,      // Time source of the protocol: real time, or the debugger's VirtualClock
+    debug: null,            // Debugger mode: virtual clock and event cursor (see createDebugger)
+    exercise: null,         // Exercise mode: { quiz, clock, queue, resuming } (see toggleExercise)
+    runId: 0                // Bumped on reset so stale callbacks are ignored
 };
 
 // Convert packet size based on unit
@@ -49,15 +79,26 @@ function toggleAutoSend() {
         return;
     }
 
+    if (!state.autoSendActive && state.replay) {
+        addLog('A replay is running - stop it to auto-send', 'warning');
+        return;
+    }
+
+    if (!state.autoSendActive && isTransferActive()) {
+        addLog('A file transfer is in progress, please wait', 'warning');
+        return;
+    }
+
     if (state.autoSendActive) {
         // Stop auto-send
         state.autoSendActive = false;
-        if (state.autoSendTimer) clearInterval(state.autoSendTimer);
+        if (state.autoSendTimer) state.clock.clearTimeout(state.autoSendTimer);
         autoSendBtn.textContent = 'Auto Send';
         autoSendBtn.style.opacity = '1';
         addLog('Auto-send stopped', 'info');
     } else {
         // Start auto-send
+        debugCatchUp();
         state.autoSendActive = true;
         autoSendBtn.textContent = 'Stop Auto Send';
         autoSendBtn.style.opacity = '0.7';
@@ -74,77 +115,320 @@ function toggleAutoSend() {
             if (state.packetsSent >= currentLimit) {
                 // Stop auto-send when limit reached
                 state.autoSendActive = false;
-                if (state.autoSendTimer) clearInterval(state.autoSendTimer);
+                if (state.autoSendTimer) state.clock.clearTimeout(state.autoSendTimer);
                 autoSendBtn.textContent = 'Auto Send';
                 autoSendBtn.style.opacity = '1';
                 addLog(`Packet limit reached (${currentLimit} packets sent)`, 'success');
                 return;
             }
 
-            // Send packet and schedule next one
-            sendPacket();
-            state.autoSendTimer = setTimeout(sendNext, interval);
+            // Send packet once the previous one is acknowledged, then schedule next one
+            if (!state.isWaiting) {
+                sendPacket();
+            }
+            state.autoSendTimer = state.clock.setTimeout(sendNext, interval, 'Auto-send next packet');
         };
         
         sendNext();
     }
 }
 
-// Utility: Calculate simple checksum
-function calculateChecksum(data) {
-    let sum = 0;
-    for (let i = 0; i < data.length; i++) {
-        sum += data.charCodeAt(i);
+// Utility: Seeded generator for the current run, created on its first packet
+function getRandom() {
+    if (!state.random) {
+        const seedInput = document.getElementById('seed').value.trim();
+
+        try {
+            state.random = new SeededRandom(seedInput === '' ? undefined : seedInput);
+        } catch (e) {
+            addLog(`${e.message} - using a random seed`, 'warning');
+            state.random = new SeededRandom();
+        }
+
+        // The fault scenario is fixed for the run as well, so its packet counts start here
+        state.scenario = readScenario();
+        const scenarioNote = state.scenario ? `, scenario "${state.scenario.name}"` : '';
+
+        recordEvent('run-start', {
+            seed: state.random.seed,
+            scenario: state.scenario ? state.scenario.toJSON() : null,
+            message: `Run started with seed ${state.random.seed}${scenarioNote} (enter it under Random Seed to replay)`,
+            level: 'info'
+        });
+    }
+    return state.random;
+}
+
+// Scenario: the scripted faults chosen under Fault Scenario, or null for none
+function readScenario() {
+    const choice = document.getElementById('scenarioSelect').value;
+    if (choice === 'none') return null;
+
+    let scenario;
+    try {
+        const name = choice === 'custom' ? 'Custom scenario' : SCENARIO_LIBRARY[choice].name;
+        scenario = FaultScenario.parse(document.getElementById('scenarioScript').value, name);
+    } catch (e) {
+        addLog(`${e.message} - running without a scenario`, 'warning');
+        return null;
+    }
+
+    // Rules fire as a packet enters the Pipe, right after its transmit/respond event
+    scenario.onFault = (packet, rules) => {
+        recordEvent('scenario-fault', {
+            seqno: packet.seqno,
+            rules: rules,
+            message: `Scenario: ${rules.join(', ')} (${packet.getType()} ${packet.seqno})`,
+            level: 'warning'
+        });
+    };
+    return scenario;
+}
+
+// Scenario: add the built-in scenarios to the Fault Scenario list
+function listScenarios() {
+    const select = document.getElementById('scenarioSelect');
+    const custom = select.querySelector('option[value="custom"]');
+
+    Object.entries(SCENARIO_LIBRARY).forEach(([id, entry]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = entry.name;
+        select.insertBefore(option, custom);
+    });
+}
+
+// Scenario: show the rules and description of the chosen scenario
+function selectScenario() {
+    const choice = document.getElementById('scenarioSelect').value;
+    const script = document.getElementById('scenarioScript');
+    const description = document.getElementById('scenarioDescription');
+
+    if (choice === 'none') {
+        script.value = '';
+        description.textContent = 'Only the random impairments above.';
+    } else if (choice === 'custom') {
+        description.textContent = 'Your own rules, one per line (or JSON).';
+    } else {
+        script.value = SCENARIO_LIBRARY[choice].script;
+        description.textContent = SCENARIO_LIBRARY[choice].description;
+    }
+
+    if (state.random) {
+        addLog('The scenario applies from the next run - press Reset to start one', 'info');
+    }
+}
+
+// Scenario: editing the rules turns the choice into a custom scenario
+function editScenario() {
+    const select = document.getElementById('scenarioSelect');
+    if (select.value !== 'custom') {
+        select.value = 'custom';
+        selectScenario();
+    }
+}
+
+// Utility: Read the network settings in the units Pipe expects
+function readNetworkConfig() {
+    return {
+        lossRate: parseFloat(document.getElementById('lossRate').value) / 100,
+        corruptionRate: parseFloat(document.getElementById('corruptionRate').value) / 100,
+        delay: parseFloat(document.getElementById('delay').value),
+        jitter: parseFloat(document.getElementById('jitter').value),
+        bandwidth: parseFloat(document.getElementById('bandwidth').value) * 1000000
+    };
+}
+
+// Utility: Channel for one direction, sharing the run's seeded generator
+function getPipe(direction) {
+    const key = direction === 'forward' ? 'forwardPipe' : 'reversePipe';
+    if (!state[key]) {
+        state[key] = new Pipe(0, 0, 0, { random: getRandom(), scenario: state.scenario, clock: state.clock });
+    }
+
+    // Pick up any settings changed since the last packet
+    state[key].updateConfig(readNetworkConfig());
+    return state[key];
+}
+
+// Utility: Sender and receiver FSM states at this moment
+function describeStates() {
+    return {
+        sender: state.isWaiting ? `Wait for ACK ${state.currentPacket.seqNum}` : `Wait for call ${state.senderSeq}`,
+        receiver: `Wait for ${state.expectedSeq} from below`,
+        nextSeq: state.senderSeq
+    };
+}
+
+// Utility: Show the sender and receiver FSM states
+function showStates(states) {
+    document.getElementById('senderState').textContent = states.sender;
+    document.getElementById('receiverState').textContent = states.receiver;
+    getStateMachines().sender.setState(states.sender);
+    getStateMachines().receiver.setState(states.receiver);
+    document.getElementById('seqNum').value = states.nextSeq;
+}
+
+// Utility: Counters at this moment
+function snapshotStats() {
+    return {
+        packetsSent: state.packetsSent,
+        acksReceived: state.acksReceived,
+        retransmissions: state.retransmissions,
+        packetsLost: state.packetsLost,
+        duplicates: state.duplicates,
+        timeouts: state.timeouts
+    };
+}
+
+// Utility: Show the transfer counters
+function showStats(stats) {
+    document.getElementById('packetsSent').textContent = stats.packetsSent;
+    document.getElementById('acksReceived').textContent = stats.acksReceived;
+    document.getElementById('retransmissions').textContent = stats.retransmissions;
+    document.getElementById('packetLoss').textContent = stats.packetsLost;
+    document.getElementById('duplicates').textContent = stats.duplicates;
+    document.getElementById('timeouts').textContent = stats.timeouts;
+}
+
+// Utility: Header fields of a packet, as stored in session events
+function packetFields(packet) {
+    return {
+        type: packet.getType(),
+        seqno: packet.seqno,
+        len: packet.len,
+        cksum: packet.cksum,
+        checksumType: packet.checksumType,
+        flags: packet.flags,
+        sessionId: packet.sessionId
+    };
+}
+
+// Utility: Space-time diagram, created on first use
+function getLadder() {
+    if (!state.ladder) {
+        state.ladder = new LadderDiagram(
+            document.getElementById('ladderSvg'),
+            document.getElementById('ladderContainer'),
+            readNetworkConfig().delay
+        );
+    }
+    return state.ladder;
+}
+
+// Utility: Sender and receiver state machine diagrams, created on first use
+function getStateMachines() {
+    if (!state.machines) {
+        state.machines = {
+            sender: new FsmDiagram(document.getElementById('senderFsm'), document.getElementById('senderFsmCaption'), RDT_SENDER_FSM),
+            receiver: new FsmDiagram(document.getElementById('receiverFsm'), document.getElementById('receiverFsmCaption'), RDT_RECEIVER_FSM)
+        };
+    }
+    return state.machines;
+}
+
+// Utility: Animate the FSM transition an event stands for, from the state shown before it
+function fireTransition(event, speed) {
+    const machines = getStateMachines();
+    const duration = 600 / speed;
+
+    switch (event.type) {
+        case 'send':
+            machines.sender.fire('send', duration);
+            break;
+        case 'ack-received':
+            machines.sender.fire('ack', duration);
+            break;
+        case 'nak-received':
+            machines.sender.fire('nak', duration);
+            break;
+        case 'ack-mismatch':
+            machines.sender.fire('mismatch', duration);
+            break;
+        case 'late-response':
+            machines.sender.fire('late', duration);
+            break;
+        case 'timeout':
+            machines.sender.fire('timeout', duration);
+            break;
+        case 'give-up':
+            machines.sender.fire('give-up', duration);
+            break;
+        case 'deliver':
+            machines.receiver.fire('deliver', duration);
+            break;
+        case 'duplicate':
+            machines.receiver.fire('duplicate', duration);
+            break;
+        case 'arrival': {
+            // A corrupted data packet reaches the receiver, a corrupted ACK/NAK the sender
+            const flight = state.flights.get(event.flight);
+            if (flight && event.outcome === 'corrupted') {
+                const machine = flight.direction === 'forward' ? machines.receiver : machines.sender;
+                machine.fire('corrupt', duration);
+            }
+            break;
+        }
     }
-    return sum % 256;
 }
 
 // Utility: Add log entry
-function addLog(message, type = 'info') {
+function addLog(message, type = 'info', date = new Date()) {
     const eventLog = document.getElementById('eventLog');
     const entry = document.createElement('div');
     entry.className = `log-entry log-${type}`;
-    const time = new Date().toLocaleTimeString();
+    const time = date.toLocaleTimeString();
     entry.textContent = `[${time}] ${message}`;
     eventLog.appendChild(entry);
     eventLog.scrollTop = eventLog.scrollHeight;
 }
 
-// Utility: Animate packet across diagram
-function animatePacket(duration, onComplete) {
+// Utility: Animate a packet (sender -> receiver) or ACK/NAK (receiver -> sender) across the diagram
+// Progress follows `clock`, so a paused debugger clock holds the packet in place
+// Returns the SVG group so the outcome can be shown with markFlight()
+function animatePacket(duration, onComplete, direction = 'forward', label = 'PKT', clock = WALL_CLOCK) {
     const svg = document.getElementById('packetSvg');
-    svg.innerHTML = '';
+    const forward = direction === 'forward';
+
+    // Data packets travel above the line, responses below it
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('class', `flight flight-${direction}`);
 
     const packet = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    packet.setAttribute('x', '10');
-    packet.setAttribute('y', '50');
-    packet.setAttribute('width', '40');
+    packet.setAttribute('x', '0');
+    packet.setAttribute('y', forward ? '35' : '85');
+    packet.setAttribute('width', '50');
     packet.setAttribute('height', '30');
-    packet.setAttribute('fill', '#667eea');
+    packet.setAttribute('fill', forward ? '#667eea' : '#2ecc71');
     packet.setAttribute('rx', '4');
-    svg.appendChild(packet);
+    group.appendChild(packet);
 
     const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    text.setAttribute('x', '30');
-    text.setAttribute('y', '70');
+    text.setAttribute('x', '25');
+    text.setAttribute('y', forward ? '54' : '104');
     text.setAttribute('text-anchor', 'middle');
     text.setAttribute('font-size', '10');
     text.setAttribute('fill', 'white');
     text.setAttribute('font-weight', 'bold');
-    text.textContent = 'PKT';
-    svg.appendChild(text);
+    text.textContent = label;
+    group.appendChild(text);
+
+    svg.appendChild(group);
 
-    const startX = 10;
-    const endX = svg.clientWidth - 50;
-    const startTime = Date.now();
+    // Positions are in viewBox units (the viewBox is 500 wide)
+    const startX = forward ? 10 : 440;
+    const endX = forward ? 440 : 10;
+    const startTime = clock.now();
 
     function frame() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
+        // Stop once the flight has been removed, e.g. by a reset
+        if (!group.isConnected) return;
+
+        const elapsed = clock.now() - startTime;
+        const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
         const x = startX + (endX - startX) * progress;
 
-        packet.setAttribute('x', x);
-        text.setAttribute('x', x + 20);
+        group.setAttribute('transform', `translate(${x}, 0)`);
 
         if (progress < 1) {
             requestAnimationFrame(frame);
@@ -154,139 +438,1015 @@ function animatePacket(duration, onComplete) {
     }
 
     requestAnimationFrame(frame);
+    return group;
+}
+
+// Utility: Show how a flight ended ('delivered', 'lost' or 'corrupted'), then remove it
+function markFlight(group, outcome) {
+    const packet = group.querySelector('rect');
+    const text = group.querySelector('text');
+
+    if (outcome === 'lost') {
+        packet.setAttribute('fill', '#e74c3c');
+        text.textContent = 'LOST';
+    } else if (outcome === 'corrupted') {
+        packet.setAttribute('fill', '#f39c12');
+        text.textContent = 'CORRUPT';
+    }
+
+    setTimeout(() => group.remove(), outcome === 'delivered' ? 150 : 800);
 }
 
-// Main: Send packet
+// Main: Send packet (sender event rdt_send)
 function sendPacket() {
-    if (state.animationInProgress) {
-        addLog('Animation in progress, please wait', 'warning');
+    if (state.replay) {
+        addLog('A replay is running - stop it to send packets', 'warning');
+        return;
+    }
+
+    if (state.exercise && state.exercise.queue.length > 0) {
+        addLog('Answer the exercise question first', 'warning');
+        return;
+    }
+
+    if (state.isWaiting) {
+        addLog(`Waiting for ACK ${state.currentPacket.seqNum}, please wait`, 'warning');
+        return;
+    }
+
+    if (isTransferActive()) {
+        addLog('A file transfer is in progress, please wait', 'warning');
+        return;
+    }
+
+    const payloadData = document.getElementById('packetData').value || 'Hello';
+    const payloadBytes = new TextEncoder().encode(payloadData);
+
+    if (payloadBytes.length > Packet.MAX_DATA_SIZE) {
+        addLog(`Payload is ${payloadBytes.length} bytes, the limit is ${Packet.MAX_DATA_SIZE}`, 'warning');
         return;
     }
 
+    if (askPrediction('send', {}, sendPacket)) return;
+
+    debugCatchUp();
+    sendData(payloadBytes, payloadData, convertPacketSize());
+}
+
+// Sender: wrap a payload in a packet and send it (shared by single packets and file chunks)
+function sendData(payloadBytes, payloadData, packetSize) {
+    // Fix the run's seed before its first packet is logged
+    getRandom();
+
     // Get form values
     const sourcePort = parseInt(document.getElementById('sourcePort').value);
     const destPort = parseInt(document.getElementById('destPort').value);
-    const seqNum = parseInt(document.getElementById('seqNum').value);
-    const payloadData = document.getElementById('packetData').value || 'Hello';
-    const packetSize = convertPacketSize();
-    const lossRate = parseFloat(document.getElementById('lossRate').value);
-    const delay = parseFloat(document.getElementById('delay').value);
-    const corruptionRate = parseFloat(document.getElementById('corruptionRate').value);
-    const timeout = parseFloat(document.getElementById('timeout').value);
-    const jitter = parseFloat(document.getElementById('jitter').value);
-    const bandwidth = parseFloat(document.getElementById('bandwidth').value);
 
-    // Create packet with UDP header
+    // Create packet with UDP header; the wire form is a real Packet, as in Sender.js
+    const wire = new Packet(state.senderSeq, payloadBytes);
     const packet = {
         srcPort: sourcePort,
         dstPort: destPort,
-        seqNum: seqNum,
+        seqNum: state.senderSeq,
         payload: payloadData,
         size: packetSize,
-        length: 8 + payloadData.length, // UDP header (8 bytes) + payload
-        checksum: calculateChecksum(payloadData),
-        timestamp: Date.now(),
-        retransmitted: false
+        length: 8 + wire.getSize(), // UDP header (8 bytes) + RDT packet
+        checksum: wire.cksum,
+        timestamp: state.clock.now(),
+        retransmitted: false,
+        attempts: 0,
+        wire: wire
     };
 
     state.currentPacket = packet;
-    state.animationInProgress = true;
-
-    // Update UI with full packet details
-    document.getElementById('info-srcport').textContent = packet.srcPort;
-    document.getElementById('info-dstport').textContent = packet.dstPort;
-    document.getElementById('info-length').textContent = formatBytes(packet.length);
-    document.getElementById('info-checksum').textContent = packet.checksum;
-    document.getElementById('info-seq').textContent = packet.seqNum;
-    document.getElementById('info-data').textContent = packet.payload;
-    document.getElementById('info-size').textContent = formatBytes(packet.size);
-    document.getElementById('senderState').textContent = 'Sending...';
-    document.getElementById('info-status').textContent = 'In Transit';
-
-    addLog(`UDP Packet sent (${sourcePort} → ${destPort}, Seq: ${seqNum})`, 'info');
+    state.isWaiting = true;
     state.packetsSent++;
-    document.getElementById('packetsSent').textContent = state.packetsSent;
 
-    // Simulate transmission with delay
-    animatePacket(delay, () => {
-        simulateTransmission(packet, lossRate, corruptionRate, timeout);
+    recordEvent('send', {
+        info: {
+            srcPort: packet.srcPort,
+            dstPort: packet.dstPort,
+            seqNum: packet.seqNum,
+            payload: packet.payload,
+            size: packet.size,
+            length: packet.length,
+            wireSize: wire.getSize(),
+            checksum: packet.checksum
+        },
+        message: `UDP Packet sent (${sourcePort} → ${destPort}, Seq: ${packet.seqNum})`,
+        level: 'info'
     });
+
+    simulateTransmission(packet);
 }
 
-// Simulate packet transmission (loss, corruption, etc)
-function simulateTransmission(packet, lossRate, corruptionRate, timeout) {
-    const lossChance = Math.random() * 100;
-    const corruptionChance = Math.random() * 100;
+// Send the current packet through the forward channel and start its timer
+function simulateTransmission(packet) {
+    const runId = state.runId;
+    const pipe = getPipe('forward');
+    const timeout = parseFloat(document.getElementById('timeout').value);
 
-    if (lossChance < lossRate) {
-        // Packet lost
-        state.packetsLost++;
-        document.getElementById('info-status').textContent = 'Lost';
-        document.getElementById('networkStatus').textContent = 'Packet Lost';
-        addLog(`Packet ${packet.seqNum} LOST (Random loss)`, 'error');
+    packet.attempts++;
 
-        // Timeout and retransmit
-        setTimeout(() => {
-            handleTimeout(packet);
-        }, timeout);
-    } else if (corruptionChance < corruptionRate) {
+    state.clock.clearTimeout(state.timer);
+    state.timer = state.clock.setTimeout(() => handleTimeout(packet), timeout, `Timeout PKT ${packet.seqNum}`);
+
+    const flight = state.session.nextFlightId++;
+    recordEvent('transmit', {
+        flight: flight,
+        direction: 'forward',
+        label: `PKT ${packet.seqNum}`,
+        retransmission: packet.retransmitted,
+        packet: packetFields(packet.wire),
+        infoStatus: packet.retransmitted ? 'Retransmitting' : 'In Transit',
+        networkStatus: `Packet ${packet.seqNum} in transit`
+    });
+
+    pipe.send(packet.wire).then((datagrams) => {
+        if (runId !== state.runId) return;
+
+        if (datagrams.length === 0) {
+            // Packet lost
+            state.packetsLost++;
+            recordEvent('arrival', {
+                flight: flight,
+                outcome: 'lost',
+                infoStatus: 'Lost',
+                networkStatus: 'Packet Lost',
+                message: `Packet ${packet.seqNum} LOST`,
+                level: 'error'
+            });
+            return;
+        }
+
+        datagrams.forEach(bytes => simulateReceiver(bytes, flight));
+    });
+}
+
+// Receiver: deliver new packets, re-ACK duplicates, NAK corrupted ones (as Receiver.js)
+function simulateReceiver(bytes, flight) {
+    let packet = null;
+    let error = null;
+
+    try {
+        packet = Packet.fromByteArray(bytes);
+    } catch (e) {
+        error = e;
+    }
+
+    const context = { corrupted: packet === null, seqno: packet && packet.seqno, receiverState: describeStates().receiver };
+    if (askPrediction('receive', context, () => simulateReceiver(bytes, flight))) return;
+
+    if (error) {
         // Packet corrupted
-        packet.checksum = Math.floor(Math.random() * 256);
-        document.getElementById('info-status').textContent = 'Corrupted';
-        document.getElementById('networkStatus').textContent = 'Packet Corrupted';
-        addLog(`Packet ${packet.seqNum} CORRUPTED (Checksum mismatch)`, 'error');
-
-        // Receiver rejects, timeout and retransmit
-        setTimeout(() => {
-            handleTimeout(packet);
-        }, timeout);
+        recordEvent('arrival', {
+            flight: flight,
+            outcome: 'corrupted',
+            infoStatus: 'Corrupted',
+            networkStatus: 'Packet Corrupted',
+            message: `Packet CORRUPTED (${error.message}) - sending NAK ${state.expectedSeq}`,
+            level: 'error'
+        });
+        sendResponse(state.expectedSeq, false);
+        return;
+    }
+
+    recordEvent('arrival', { flight: flight, outcome: 'delivered', networkStatus: 'Packet Received' });
+
+    if (packet.seqno === state.expectedSeq) {
+        state.expectedSeq = 1 - state.expectedSeq;
+        recordEvent('deliver', {
+            seqno: packet.seqno,
+            size: packet.getPayloadSize(),
+            message: `Packet ${packet.seqno} delivered (${packet.getPayloadSize()} bytes)`,
+            level: 'success'
+        });
+        if (isTransferActive()) {
+            receiveChunk(packet.data);
+        }
     } else {
-        // Packet successfully received
-        simulateReceiver(packet);
+        // A retransmission of something already delivered: its ACK was lost, corrupted or late
+        state.duplicates++;
+        recordEvent('duplicate', {
+            seqno: packet.seqno,
+            message: `Duplicate packet ${packet.seqno} - discarded, resending ACK ${packet.seqno}`,
+            level: 'warning'
+        });
     }
+
+    sendResponse(packet.seqno, true);
 }
 
-// Simulate receiver processing
-function simulateReceiver(packet) {
-    document.getElementById('receiverState').textContent = 'Processing...';
-    document.getElementById('networkStatus').textContent = 'Packet Received';
+// Receiver: send an ACK or NAK back through the reverse channel
+function sendResponse(seqno, valid) {
+    const runId = state.runId;
+    const pipe = getPipe('reverse');
+    const kind = valid ? 'ACK' : 'NAK';
+    const response = new Packet(seqno, null, valid ? Packet.FLAG_ACK : Packet.FLAG_NAK);
+
+    const flight = state.session.nextFlightId++;
+    recordEvent('respond', {
+        flight: flight,
+        direction: 'reverse',
+        label: `${kind} ${seqno}`,
+        packet: packetFields(response),
+        infoStatus: `${kind} Sent`
+    });
+
+    pipe.send(response).then((datagrams) => {
+        if (runId !== state.runId) return;
+
+        if (datagrams.length === 0) {
+            state.packetsLost++;
+            recordEvent('arrival', {
+                flight: flight,
+                outcome: 'lost',
+                networkStatus: `${kind} Lost`,
+                message: `${kind} ${seqno} LOST`,
+                level: 'error'
+            });
+            return;
+        }
+
+        datagrams.forEach(bytes => handleResponse(bytes, flight));
+    });
+}
+
+// Sender: react to an ACK or NAK (as Sender.js Stop-and-Wait)
+// As in rdt3.0 a corrupted or wrong ACK/NAK is ignored and the timer decides; only a NAK for this packet resends at once
+function handleResponse(bytes, flight) {
+    const packet = state.currentPacket;
+
+    let response;
+    try {
+        response = Packet.fromByteArray(bytes);
+    } catch (e) {
+        if (state.isWaiting) {
+            recordEvent('arrival', { flight: flight, outcome: 'corrupted', message: `Corrupted response (${e.message}) - ignored, waiting for ACK ${packet.seqNum}`, level: 'error' });
+        } else {
+            recordEvent('arrival', { flight: flight, outcome: 'corrupted' });
+        }
+        return;
+    }
+
+    recordEvent('arrival', { flight: flight, outcome: 'delivered' });
+    if (!state.isWaiting) {
+        recordEvent('late-response', {
+            seqno: response.seqno,
+            message: `Late ${response.getType()} ${response.seqno} while idle - ignored`,
+            level: 'info'
+        });
+        return;
+    }
 
-    setTimeout(() => {
-        // Send ACK back
-        document.getElementById('info-status').textContent = 'ACK Sent';
-        document.getElementById('receiverState').textContent = `ACK ${packet.seqNum}`;
+    if (response.isNak() && response.seqno === packet.seqNum) {
+        recordEvent('nak-received', { seqno: response.seqno, message: `NAK ${response.seqno} received by sender`, level: 'warning' });
+        retransmitPacket(packet);
+    } else if (response.isAckPacket() && response.seqno === packet.seqNum) {
+        state.clock.clearTimeout(state.timer);
         state.acksReceived++;
-        document.getElementById('acksReceived').textContent = state.acksReceived;
-        addLog(`ACK ${packet.seqNum} received by sender`, 'success');
 
-        // Update sender state
-        setTimeout(() => {
-            document.getElementById('senderState').textContent = 'Ready';
-            document.getElementById('receiverState').textContent = 'Waiting';
-            document.getElementById('networkStatus').textContent = 'Idle';
-            state.animationInProgress = false;
-        }, 500);
-    }, 200);
+        // Next packet uses the other sequence number
+        state.senderSeq = 1 - state.senderSeq;
+        state.isWaiting = false;
+
+        recordEvent('ack-received', {
+            seqno: response.seqno,
+            infoStatus: 'ACK Received',
+            networkStatus: 'Idle',
+            message: `ACK ${response.seqno} received by sender`,
+            level: 'success'
+        });
+
+        if (isTransferActive()) {
+            sendNextChunk();
+        }
+    } else {
+        recordEvent('ack-mismatch', {
+            seqno: response.seqno,
+            message: `${response.getType()} ${response.seqno} does not match Seq ${packet.seqNum} - ignored`,
+            level: 'warning'
+        });
+    }
 }
 
 // Handle timeout/retransmission
 function handleTimeout(packet) {
-    document.getElementById('senderState').textContent = 'Timeout!';
-    addLog(`Timeout on Packet ${packet.seqNum}, retransmitting...`, 'warning');
+    if (!state.isWaiting || packet !== state.currentPacket) return;
+
+    const context = { seqno: packet.seqNum, attempts: packet.attempts, maxRetries: state.maxRetries };
+    if (askPrediction('timeout', context, () => handleTimeout(packet))) return;
+
+    state.timeouts++;
+    recordEvent('timeout', { seqno: packet.seqNum, message: `Timeout on Packet ${packet.seqNum}`, level: 'warning' });
+    retransmitPacket(packet);
+}
+
+// Sender: resend the current packet under the configured network settings
+function retransmitPacket(packet) {
+    state.clock.clearTimeout(state.timer);
+
+    if (packet.attempts >= state.maxRetries) {
+        state.isWaiting = false;
+        recordEvent('give-up', {
+            seqno: packet.seqNum,
+            infoStatus: 'Failed',
+            message: `Packet ${packet.seqNum} failed after ${state.maxRetries} attempts`,
+            level: 'error'
+        });
+
+        if (isTransferActive()) {
+            state.transfer.status = 'failed';
+            state.transfer.result = 'Transfer failed';
+            recordEvent('transfer-failed', {
+                transfer: describeTransfer(),
+                message: `File transfer aborted at chunk ${state.transfer.nextChunk} of ${state.transfer.chunkCount}`,
+                level: 'error'
+            });
+        }
+        return;
+    }
+
     state.retransmissions++;
-    document.getElementById('retransmissions').textContent = state.retransmissions;
+    packet.retransmitted = true;
+    recordEvent('retransmit', {
+        seqno: packet.seqNum,
+        attempt: packet.attempts + 1,
+        message: `Packet ${packet.seqNum} retransmitted (attempt ${packet.attempts + 1})`,
+        level: 'warning'
+    });
+
+    simulateTransmission(packet);
+}
+
+// File: remember a picked file (input change or drop)
+function selectFile(file) {
+    if (!file) return;
+
+    if (file.size === 0) {
+        addLog(`${file.name} is empty, nothing to send`, 'warning');
+        return;
+    }
+
+    state.selectedFile = file;
+    const chunkCount = Math.ceil(file.size / Packet.MAX_DATA_SIZE);
+    document.getElementById('fileDropText').textContent = `${file.name} (${formatBytes(file.size)}, ${chunkCount} chunks)`;
+}
+
+// File: highlight the drop zone while a file is dragged over it, and accept the drop
+function handleFileDrop(event) {
+    event.preventDefault();
+    document.getElementById('fileDrop').classList.remove('file-drop-active');
+
+    if (event.type === 'dragover') {
+        document.getElementById('fileDrop').classList.add('file-drop-active');
+    } else if (event.type === 'drop') {
+        selectFile(event.dataTransfer.files[0]);
+    }
+}
+
+// Utility: Whether a file is still being sent
+function isTransferActive() {
+    return state.transfer !== null && state.transfer.status === 'sending';
+}
+
+// Utility: Hex digest of a file, SHA-256 where Web Crypto is available (file:// pages
+// in some browsers lack it), CRC-32 otherwise
+async function hashBytes(bytes) {
+    if (window.crypto && window.crypto.subtle) {
+        const digest = new Uint8Array(await window.crypto.subtle.digest('SHA-256', bytes));
+        return 'SHA-256 ' + Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    return 'CRC-32 ' + Packet.crc32(bytes).toString(16).padStart(8, '0');
+}
+
+// Utility: Transfer progress on the receiver side, as stored in session events
+function describeTransfer(transfer = state.transfer) {
+    return {
+        name: transfer.name,
+        size: transfer.size,
+        chunkCount: transfer.chunkCount,
+        receivedChunks: transfer.receivedChunks.length,
+        receivedBytes: transfer.receivedBytes,
+        result: transfer.result,
+        hash: transfer.resultHash
+    };
+}
+
+// Utility: Show transfer progress
+function showTransfer(transfer) {
+    document.getElementById('file-name').textContent = transfer.name;
+    document.getElementById('file-chunks').textContent = `${transfer.receivedChunks} / ${transfer.chunkCount}`;
+    document.getElementById('file-bytes').textContent = `${formatBytes(transfer.receivedBytes)} / ${formatBytes(transfer.size)}`;
+    document.getElementById('fileProgress').value = transfer.receivedBytes / transfer.size;
+    document.getElementById('file-hash').textContent = transfer.result;
+    document.getElementById('file-hash').title = transfer.hash || '';
+}
+
+// Main: Send the selected file in MAX_DATA_SIZE chunks with Stop-and-Wait (as Sender.sendFile)
+async function sendFile() {
+    const file = state.selectedFile;
+
+    if (!file) {
+        addLog('Choose or drop a file to send first', 'warning');
+        return;
+    }
+
+    if (state.replay) {
+        addLog('A replay is running - stop it to send a file', 'warning');
+        return;
+    }
+
+    const runId = state.runId;
+    const data = new Uint8Array(await file.arrayBuffer());
+    const hash = await hashBytes(data);
+    if (runId !== state.runId) return;
+
+    // Checked after reading, since a packet may have been sent in the meantime
+    if (state.isWaiting || isTransferActive() || state.autoSendActive) {
+        addLog('Wait for the current transmission to finish before sending a file', 'warning');
+        return;
+    }
+
+    // The receiver learns the name and size up front, as the SYN metadata announces them in Sender.js
+    state.transfer = {
+        name: file.name,
+        size: data.length,
+        data: data,
+        hash: hash,
+        chunkCount: Math.ceil(data.length / Packet.MAX_DATA_SIZE),
+        nextChunk: 0,
+        receivedChunks: [],
+        receivedBytes: 0,
+        status: 'sending',
+        result: 'Transferring...',
+        resultHash: null
+    };
+
+    revokeDownload();
+    debugCatchUp();
+    recordEvent('transfer-start', {
+        transfer: describeTransfer(),
+        message: `File transfer started: ${file.name} (${data.length} bytes, ${state.transfer.chunkCount} chunks)`,
+        level: 'info'
+    });
+
+    sendNextChunk();
+}
 
-    // Re-transmit after brief delay
-    setTimeout(() => {
-        document.getElementById('senderState').textContent = 'Resending...';
-        document.getElementById('info-status').textContent = 'Retransmitting';
-        addLog(`Packet ${packet.seqNum} retransmitted`, 'warning');
+// Sender: send the next chunk of the file, or report that every chunk was acknowledged
+function sendNextChunk() {
+    const transfer = state.transfer;
 
-        // Simulate retransmission with slightly better conditions
-        animatePacket(200, () => {
-            simulateTransmission(packet, 5, 2, parseInt(document.getElementById('timeout').value));
+    if (transfer.nextChunk === transfer.chunkCount) {
+        transfer.status = 'sent';
+        recordEvent('transfer-sent', {
+            transfer: describeTransfer(),
+            message: `All ${transfer.chunkCount} chunks of ${transfer.name} acknowledged`,
+            level: 'success'
         });
-    }, 300);
+        return;
+    }
+
+    // Each chunk is a send step of its own, as for Send Packet
+    if (askPrediction('send', {}, sendNextChunk)) return;
+
+    const start = transfer.nextChunk * Packet.MAX_DATA_SIZE;
+    const chunk = transfer.data.subarray(start, start + Packet.MAX_DATA_SIZE);
+    transfer.nextChunk++;
+
+    sendData(chunk, `${transfer.name} [chunk ${transfer.nextChunk}/${transfer.chunkCount}]`, chunk.length);
+}
+
+// Receiver: append a delivered chunk and check the file once it is complete
+function receiveChunk(data) {
+    const transfer = state.transfer;
+    transfer.receivedChunks.push(data);
+    transfer.receivedBytes += data.length;
+    recordEvent('chunk-received', { transfer: describeTransfer() });
+
+    if (transfer.receivedBytes >= transfer.size) {
+        finishTransfer(transfer);
+    }
+}
+
+// Receiver: reassemble the file, compare its hash with the original and offer it for download
+async function finishTransfer(transfer) {
+    const runId = state.runId;
+    const result = new Uint8Array(transfer.receivedBytes);
+    let offset = 0;
+    for (const chunk of transfer.receivedChunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    const hash = await hashBytes(result);
+    if (runId !== state.runId) return;
+
+    const matches = hash === transfer.hash;
+    transfer.result = matches ? '✓ Hash matches' : '✗ Hash mismatch';
+    transfer.resultHash = hash;
+    recordEvent('transfer-complete', {
+        transfer: describeTransfer(transfer),
+        message: matches
+            ? `${transfer.name} reassembled, ${hash} matches the original`
+            : `${transfer.name} reassembled but its hash differs (${hash} vs ${transfer.hash}) - corruption slipped past the checksum`,
+        level: matches ? 'success' : 'error'
+    });
+
+    // Named like the Node receiver's output
+    const link = document.getElementById('fileDownload');
+    link.href = URL.createObjectURL(new Blob([result]));
+    link.download = `received_${transfer.name}`;
+    link.hidden = false;
+}
+
+// Utility: Hide the download link and free its file
+function revokeDownload() {
+    const link = document.getElementById('fileDownload');
+    if (link.href) {
+        URL.revokeObjectURL(link.href);
+        link.removeAttribute('href');
+    }
+    link.hidden = true;
+}
+
+// Utility: Seed for a comparison run, from the Random Seed field if it is set
+function readComparisonSeed() {
+    const seedInput = document.getElementById('seed').value.trim();
+    if (seedInput === '') {
+        return SeededRandom.generateSeed();
+    }
+
+    try {
+        return SeededRandom.parseSeed(seedInput);
+    } catch (e) {
+        addLog(`${e.message} - using a random seed`, 'warning');
+        return SeededRandom.generateSeed();
+    }
+}
+
+// Utility: Split the comparison workload into packet payloads
+async function readComparisonWorkload() {
+    if (state.selectedFile) {
+        const data = new Uint8Array(await state.selectedFile.arrayBuffer());
+        const payloads = [];
+        for (let offset = 0; offset < data.length; offset += Packet.MAX_DATA_SIZE) {
+            payloads.push(data.subarray(offset, offset + Packet.MAX_DATA_SIZE));
+        }
+        return { payloads, description: `${state.selectedFile.name} (${formatBytes(data.length)})` };
+    }
+
+    const text = document.getElementById('packetData').value || 'Hello';
+    const payload = new TextEncoder().encode(text).subarray(0, Packet.MAX_DATA_SIZE);
+    const count = Math.max(1, parseInt(document.getElementById('compareCount').value) || 1);
+    return { payloads: Array(count).fill(payload), description: `${count} × ${payload.length}-byte packets` };
+}
+
+// Main: Start a protocol comparison, or stop the one running
+async function toggleComparison() {
+    const compareBtn = document.getElementById('compareBtn');
+
+    if (state.comparison) {
+        stopComparison();
+        addLog('Protocol comparison stopped', 'info');
+        return;
+    }
+
+    const { payloads, description } = await readComparisonWorkload();
+    const seed = readComparisonSeed();
+    const options = {
+        windowSize: Math.max(1, parseInt(document.getElementById('compareWindow').value) || 1),
+        timeout: parseFloat(document.getElementById('timeout').value),
+        maxRetries: state.maxRetries,
+        network: readNetworkConfig(),
+        seed: seed,
+        clock: state.clock,
+        onUpdate: renderLane
+    };
+
+    // One lane per protocol, built from the same template
+    const lanesContainer = document.getElementById('comparisonLanes');
+    lanesContainer.innerHTML = '';
+    document.getElementById('comparisonSummary').hidden = true;
+    document.getElementById('compareWorkload').textContent = description;
+    document.getElementById('compareSeed').textContent = seed;
+
+    state.comparison = ['stop-and-wait', 'go-back-n', 'selective-repeat'].map((protocol) => {
+        const lane = new ProtocolLane(protocol, payloads, options);
+        const element = document.getElementById('laneTemplate').content.firstElementChild.cloneNode(true);
+        element.dataset.protocol = protocol;
+        element.querySelector('.lane-name').textContent = protocol === 'stop-and-wait'
+            ? lane.name
+            : `${lane.name} (window ${lane.windowSize})`;
+        element.querySelector('.lane-packets').innerHTML = '<span class="lane-packet"></span>'.repeat(payloads.length);
+        lanesContainer.appendChild(element);
+        return lane;
+    });
+
+    compareBtn.textContent = '■ Stop Comparison';
+    addLog(`Protocol comparison started: ${description}, seed ${seed}`, 'info');
+
+    const lanes = state.comparison;
+    await Promise.all(lanes.map(lane => lane.start()));
+    if (state.comparison !== lanes) return;
+
+    state.comparison = null;
+    compareBtn.textContent = '⇄ Run Comparison';
+    showComparisonSummary(lanes);
+    addLog('Protocol comparison finished', 'success');
+}
+
+// Utility: Stop every lane of the running comparison
+function stopComparison() {
+    if (!state.comparison) return;
+
+    const lanes = state.comparison;
+    state.comparison = null;
+    lanes.forEach(lane => lane.stop());
+    document.getElementById('compareBtn').textContent = '⇄ Run Comparison';
+}
+
+// Utility: Show a lane's progress and counters
+function renderLane(lane) {
+    const element = document.querySelector(`#comparisonLanes .lane[data-protocol="${lane.protocol}"]`);
+    if (!element) return;
+
+    ['packetsSent', 'acksReceived', 'retransmissions', 'packetLoss'].forEach((stat) => {
+        element.querySelector(`[data-stat="${stat}"]`).textContent = lane[stat];
+    });
+
+    const status = element.querySelector('.lane-status');
+    status.textContent = lane.status === 'running' ? `${lane.base} / ${lane.payloads.length}` : lane.status;
+    status.className = `lane-status lane-status-${lane.status}`;
+
+    const cells = element.querySelector('.lane-packets').children;
+    lane.packetStates.forEach((packetState, index) => {
+        cells[index].className = `lane-packet lane-packet-${packetState}`;
+    });
+}
+
+// Utility: Fill the summary table once every lane has finished
+function showComparisonSummary(lanes) {
+    const tbody = document.querySelector('#comparisonSummary tbody');
+    tbody.innerHTML = '';
+
+    lanes.forEach((lane) => {
+        const results = lane.getResults();
+        const row = document.createElement('tr');
+        [
+            results.name,
+            results.status === 'done' ? `✓ ${results.deliveredPackets} delivered` : `✗ ${results.status}`,
+            `${(results.elapsed / 1000).toFixed(2)} s`,
+            `${(results.throughput / 1000).toFixed(1)} kbps`,
+            results.retransmissions,
+            results.utilization === null ? '—' : `${(results.utilization * 100).toFixed(2)}%`
+        ].forEach((value) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+
+    document.getElementById('comparisonSummary').hidden = false;
+}
+
+// Session: empty record for a new run
+function createSession() {
+    return { startedAt: null, nextFlightId: 1, events: [] };
+}
+
+// Session: record a simulator event and show it
+// Every event carries the network settings, counters and FSM states of that moment,
+// so a replay can rebuild the page from the events alone
+function recordEvent(type, details = {}) {
+    const now = state.clock.now();
+    if (state.session.startedAt === null) {
+        state.session.startedAt = now;
+    }
+
+    const event = {
+        t: now - state.session.startedAt,
+        time: new Date(now).toISOString(),
+        type: type,
+        ...details,
+        network: {
+            ...readNetworkConfig(),
+            timeout: parseFloat(document.getElementById('timeout').value),
+            packetSize: convertPacketSize()
+        },
+        stats: snapshotStats(),
+        states: describeStates()
+    };
+
+    // The debugger may be holding the view on an earlier event; the new one then waits in the history
+    const debug = state.debug;
+    const shown = !debug || (!debug.hold && debug.cursor === state.session.events.length);
+
+    state.session.events.push(event);
+    if (shown) applyEvent(event);
+    if (debug) debugRecorded(event, shown);
+    return event;
+}
+
+// Session: show an event on the page, live or during a replay (animations run `speed` times faster)
+// A speed of Infinity redraws without animating packets, as when the debugger steps back
+function applyEvent(event, speed = 1) {
+    fireTransition(event, speed);
+    if (event.stats) showStats(event.stats);
+    if (event.states) showStates(event.states);
+    if (event.infoStatus) document.getElementById('info-status').textContent = event.infoStatus;
+    if (event.networkStatus) document.getElementById('networkStatus').textContent = event.networkStatus;
+    if (event.transfer) showTransfer(event.transfer);
+
+    switch (event.type) {
+        case 'run-start':
+            document.getElementById('runSeed').textContent = event.seed;
+            break;
+
+        case 'send':
+            document.getElementById('info-srcport').textContent = event.info.srcPort;
+            document.getElementById('info-dstport').textContent = event.info.dstPort;
+            document.getElementById('info-length').textContent = formatBytes(event.info.length);
+            document.getElementById('info-checksum').textContent = event.info.checksum;
+            document.getElementById('info-seq').textContent = event.info.seqNum;
+            document.getElementById('info-data').textContent = event.info.payload;
+            document.getElementById('info-size').textContent = formatBytes(event.info.size);
+            break;
+
+        case 'transmit':
+        case 'respond':
+            state.flights.set(event.flight, {
+                group: speed === Infinity ? null : animatePacket(event.network.delay / speed, null, event.direction, event.label, state.clock),
+                direction: event.direction,
+                label: event.retransmission ? `${event.label} (retx)` : event.label,
+                sentAt: event.t,
+                header: LadderDiagram.describe(event.packet)
+            });
+            break;
+
+        case 'arrival': {
+            const flight = state.flights.get(event.flight);
+            if (!flight) break;
+
+            if (flight.group) markFlight(flight.group, event.outcome);
+            getLadder().addArrow({
+                direction: flight.direction,
+                label: flight.label,
+                sentAt: flight.sentAt,
+                arrivedAt: event.t,
+                outcome: event.outcome,
+                header: flight.header
+            });
+            break;
+        }
+
+        case 'deliver':
+            getLadder().addEvent('receiver', event.t, `deliver ${event.seqno}`, 'deliver');
+            break;
+
+        case 'duplicate':
+            getLadder().addEvent('receiver', event.t, `duplicate ${event.seqno}`, 'duplicate');
+            break;
+
+        case 'timeout':
+            getLadder().addEvent('sender', event.t, `timeout ${event.seqno}`, 'timeout');
+            break;
+
+        case 'give-up':
+            getLadder().addEvent('sender', event.t, `gave up on ${event.seqno}`, 'failed');
+            break;
+    }
+
+    if (event.message) {
+        addLog(event.message, event.level, new Date(event.time));
+    }
+
+    updateMetrics(event);
+}
+
+// Charts: empty series for a new run
+function createMetrics() {
+    return {
+        current: null,          // Packet awaiting its ACK: { sentAt, size (bytes on the wire), retransmitted }
+        deliveredBits: 0,
+        busyTime: 0,            // ms the link spent sending delivered packets (wire size / bandwidth)
+        goodput: [],
+        rtt: [],
+        retransmissionRate: [],
+        utilization: [],
+        theoretical: []
+    };
+}
+
+// Charts: the LineChart for each metric, created on first use
+function getCharts() {
+    if (!state.charts) {
+        const percent = value => `${(value * 100).toFixed(value > 0 && value < 0.01 ? 3 : 1)}%`;
+        state.charts = {
+            goodput: new LineChart(document.getElementById('goodputChart'), { format: value => `${(value / 1000).toFixed(1)}k` }),
+            rtt: new LineChart(document.getElementById('rttChart'), { format: value => `${Math.round(value)}ms` }),
+            retransmissionRate: new LineChart(document.getElementById('retransmissionChart'), { format: percent, minMax: 0.1 }),
+            utilization: new LineChart(document.getElementById('utilizationChart'), { format: percent })
+        };
+    }
+    return state.charts;
+}
+
+// Charts: theoretical Stop-and-Wait utilization, (L/R) / (RTT + L/R) with RTT = 2 × delay
+// L is the packet as the Pipe serializes it, header included, the same size the measured line uses
+function theoreticalUtilization(network, size) {
+    if (!(network.bandwidth > 0) || !size) return 0;
+
+    const transmissionTime = (size * 8 * 1000) / network.bandwidth;
+    return transmissionTime / (2 * network.delay + transmissionTime);
+}
+
+// Charts: add the samples an event produces and redraw
+// Rates are averages since the run started; RTT follows Karn's rule and skips retransmitted packets
+function updateMetrics(event) {
+    const metrics = state.metrics;
+    const seconds = event.t / 1000;
+    let ackedSize = 0;
+
+    switch (event.type) {
+        case 'send':
+            // Sessions recorded before wireSize was added: length is the UDP header (8 bytes) + RDT packet
+            metrics.current = { sentAt: event.t, size: event.info.wireSize ?? event.info.length - 8, retransmitted: false };
+            break;
+
+        case 'retransmit':
+            if (metrics.current) metrics.current.retransmitted = true;
+            break;
+
+        case 'ack-received':
+            if (metrics.current && !metrics.current.retransmitted) {
+                metrics.rtt.push([seconds, event.t - metrics.current.sentAt]);
+            }
+            if (metrics.current) {
+                ackedSize = metrics.current.size;
+            }
+            if (ackedSize && event.network.bandwidth > 0) {
+                metrics.busyTime += (ackedSize * 8 * 1000) / event.network.bandwidth;
+            }
+            metrics.current = null;
+            break;
+
+        case 'deliver':
+            metrics.deliveredBits += (event.size || 0) * 8;
+            break;
+
+        default:
+            break;
+    }
+
+    if (!event.stats || event.t === 0) {
+        renderCharts();
+        return;
+    }
+
+    if (event.type === 'deliver') {
+        metrics.goodput.push([seconds, metrics.deliveredBits / seconds]);
+    }
+    if (event.type === 'send' || event.type === 'retransmit') {
+        metrics.retransmissionRate.push([seconds, event.stats.retransmissions / event.stats.packetsSent]);
+    }
+    if (event.type === 'ack-received') {
+        metrics.utilization.push([seconds, metrics.busyTime / event.t]);
+        metrics.theoretical.push([seconds, theoreticalUtilization(event.network, ackedSize)]);
+    }
+
+    renderCharts();
+}
+
+// Charts: redraw every chart from the collected series
+function renderCharts() {
+    const charts = getCharts();
+    const metrics = state.metrics;
+
+    charts.goodput.setSeries([{ points: metrics.goodput, className: 'chart-line chart-goodput' }]);
+    charts.rtt.setSeries([{ points: metrics.rtt, className: 'chart-dot chart-rtt', style: 'dots' }]);
+    charts.retransmissionRate.setSeries([{ points: metrics.retransmissionRate, className: 'chart-line chart-retransmission' }]);
+    charts.utilization.setSeries([
+        { points: metrics.theoretical, className: 'chart-line chart-theoretical' },
+        { points: metrics.utilization, className: 'chart-line chart-utilization' }
+    ]);
+}
+
+// Session: download the current session (or the imported one) as JSON
+function exportSession() {
+    const session = state.session.events.length > 0 ? state.session : state.loadedSession;
+    if (!session || session.events.length === 0) {
+        addLog('Nothing to export yet - send a packet first', 'warning');
+        return;
+    }
+
+    const runStart = session.events.find(event => event.type === 'run-start');
+    const seed = runStart ? runStart.seed : null;
+    const data = {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        exportedAt: new Date().toISOString(),
+        seed: seed,
+        events: session.events
+    };
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    link.download = `rdt-session-${seed === null ? 'unseeded' : seed}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+
+    addLog(`Session exported (${session.events.length} events)`, 'success');
+}
+
+// Session: load an exported session for replay
+async function importSession(file) {
+    if (!file) return;
+
+    try {
+        const data = JSON.parse(await file.text());
+
+        if (data.format !== SESSION_FORMAT || !Array.isArray(data.events)) {
+            throw new Error('not a simulator session file');
+        }
+        if (data.version > SESSION_VERSION) {
+            throw new Error(`session version ${data.version} is newer than this simulator supports`);
+        }
+        if (!data.events.every(event => typeof event.type === 'string' && Number.isFinite(event.t))) {
+            throw new Error('events need a type and a time');
+        }
+
+        state.loadedSession = { startedAt: null, events: data.events };
+        addLog(`Loaded ${file.name}: ${data.events.length} events, seed ${data.seed ?? '—'} - press Replay`, 'success');
+    } catch (e) {
+        addLog(`Could not load ${file.name}: ${e.message}`, 'error');
+    }
+
+    // Allow the same file to be picked again
+    document.getElementById('sessionFile').value = '';
+}
+
+// Session: replay the imported session (or the current one), or stop the replay in progress
+function toggleReplay() {
+    if (state.replay) {
+        stopReplay();
+        addLog('Replay stopped', 'info');
+        return;
+    }
+
+    if (state.debug) {
+        addLog('Turn off the debugger to replay - step back through the run instead', 'warning');
+        return;
+    }
+
+    if (state.exercise) {
+        addLog('Finish the exercise to replay', 'warning');
+        return;
+    }
+
+    const session = state.loadedSession || (state.session.events.length > 0 ? state.session : null);
+    if (!session) {
+        addLog('Nothing to replay - run or import a session first', 'warning');
+        return;
+    }
+
+    // Start from a clean page; the replayed session stays available for export and another replay
+    resetSimulation();
+    state.loadedSession = session;
+    state.replay = { events: session.events, index: 0, timer: null };
+    document.getElementById('replayBtn').textContent = '■ Stop Replay';
+    addLog(`Replaying ${session.events.length} events`, 'info');
+
+    replayNext();
+}
+
+// Session: show the next recorded event and wait (scaled by the replay speed) for the one after
+function replayNext() {
+    const replay = state.replay;
+    const speed = parseFloat(document.getElementById('replaySpeed').value);
+    const event = replay.events[replay.index++];
+
+    applyEvent(event, speed);
+
+    if (replay.index === replay.events.length) {
+        stopReplay();
+        addLog('Replay finished', 'success');
+        return;
+    }
+
+    const gap = Math.max(0, replay.events[replay.index].t - event.t) / speed;
+    replay.timer = setTimeout(replayNext, gap);
+}
+
+// Session: stop the replay in progress
+function stopReplay() {
+    if (!state.replay) return;
+
+    clearTimeout(state.replay.timer);
+    state.replay = null;
+    document.getElementById('replayBtn').textContent = '⟲ Replay';
 }
 
 // Reset simulation
@@ -294,26 +1454,70 @@ function resetSimulation() {
     // Stop auto-send if running
     if (state.autoSendActive) {
         state.autoSendActive = false;
-        if (state.autoSendTimer) clearTimeout(state.autoSendTimer);
+        if (state.autoSendTimer) state.clock.clearTimeout(state.autoSendTimer);
         document.getElementById('autoSendBtn').textContent = 'Auto Send';
         document.getElementById('autoSendBtn').style.opacity = '1';
     }
 
+    // Drop anything still in flight
+    state.clock.clearTimeout(state.timer);
+    state.runId++;
+    stopComparison();
+    stopReplay();
+
+    // A debugger run starts over on a fresh, paused clock
+    if (state.debug) {
+        state.debug.clock.pause();
+        state.debug = createDebugger();
+        state.clock = state.debug.clock;
+    } else if (state.exercise) {
+        // The score carries over; the new run gets its own clock and no open questions
+        state.exercise.clock.pause();
+        state.exercise.clock = new VirtualClock();
+        state.exercise.clock.play();
+        state.exercise.queue = [];
+        state.clock = state.exercise.clock;
+    } else {
+        state.clock = WALL_CLOCK;
+    }
+
     state.packetsSent = 0;
     state.acksReceived = 0;
     state.retransmissions = 0;
     state.packetsLost = 0;
-    state.animationInProgress = false;
+    state.duplicates = 0;
+    state.timeouts = 0;
+    state.isWaiting = false;
+    state.currentPacket = null;
+    state.random = null;
+    state.scenario = null;
+    state.senderSeq = 0;
+    state.expectedSeq = 0;
+    state.forwardPipe = null;
+    state.reversePipe = null;
+    state.transfer = null;
+    state.session = createSession();
+    state.flights.clear();
+    state.metrics = createMetrics();
 
-    // Reset UI
-    document.getElementById('packetsSent').textContent = '0';
-    document.getElementById('acksReceived').textContent = '0';
-    document.getElementById('retransmissions').textContent = '0';
-    document.getElementById('packetLoss').textContent = '0';
-    
-    document.getElementById('senderState').textContent = 'Ready';
-    document.getElementById('receiverState').textContent = 'Waiting';
+    resetView();
+    revokeDownload();
+
+    const eventLog = document.getElementById('eventLog');
+    eventLog.innerHTML = '<div class="log-entry log-info">System reset</div>';
+
+    addLog('Simulation reset', 'info');
+    showDebugger();
+    showQuestion();
+}
+
+// Reset the page to an empty run (the run itself is reset by resetSimulation)
+function resetView() {
+    // Counters at zero and both machines in their initial states
+    showStats({ packetsSent: 0, acksReceived: 0, retransmissions: 0, packetsLost: 0, duplicates: 0, timeouts: 0 });
+    showStates({ sender: 'Wait for call 0', receiver: 'Wait for 0 from below', nextSeq: 0 });
     document.getElementById('networkStatus').textContent = 'Idle';
+    document.getElementById('runSeed').textContent = '—';
 
     document.getElementById('info-seq').textContent = '—';
     document.getElementById('info-data').textContent = '—';
@@ -324,11 +1528,379 @@ function resetSimulation() {
     document.getElementById('info-dstport').textContent = '—';
     document.getElementById('info-length').textContent = '—';
 
-    const svg = document.getElementById('packetSvg');
-    svg.innerHTML = '';
+    document.getElementById('file-name').textContent = '—';
+    document.getElementById('file-chunks').textContent = '—';
+    document.getElementById('file-bytes').textContent = '—';
+    document.getElementById('file-hash').textContent = '—';
+    document.getElementById('file-hash').title = '';
+    document.getElementById('fileProgress').value = 0;
 
-    const eventLog = document.getElementById('eventLog');
-    eventLog.innerHTML = '<div class="log-entry log-info">System reset</div>';
+    document.querySelectorAll('#packetSvg .flight').forEach(flight => flight.remove());
+    getLadder().reset(readNetworkConfig().delay);
+    getStateMachines().sender.reset();
+    getStateMachines().receiver.reset();
+    renderCharts();
+    document.getElementById('eventLog').innerHTML = '';
+}
 
-    addLog('Simulation reset', 'info');
-}
\ No newline at end of file
+// Debugger: empty debugger state for a new run, with time stopped
+function createDebugger() {
+    const clock = new VirtualClock();
+    clock.setSpeed(readDebugSpeed());
+    clock.onTick = showDebugger;
+
+    return {
+        clock: clock,
+        cursor: 0,              // Number of events shown; below the event count while stepping back
+        snapshots: [],          // Pending timers when each event was recorded
+        stepping: false,        // A step is moving the clock
+        hold: false             // New events are recorded but not shown (after a step or breakpoint)
+    };
+}
+
+// Debugger: switch the protocol between real time and a virtual clock (starts a new run)
+function toggleDebugger() {
+    if (state.replay) {
+        addLog('A replay is running - stop it to use the debugger', 'warning');
+        document.getElementById('debugMode').checked = Boolean(state.debug);
+        return;
+    }
+
+    if (state.exercise) {
+        addLog('Finish the exercise to use the debugger', 'warning');
+        document.getElementById('debugMode').checked = false;
+        return;
+    }
+
+    const enabled = document.getElementById('debugMode').checked;
+    if (state.debug) state.debug.clock.pause();
+    state.debug = enabled ? createDebugger() : null;
+
+    resetSimulation();
+    document.getElementById('debugControls').hidden = !enabled;
+    addLog(enabled
+        ? 'Debugger on - time is paused: send a packet, then Step or Run'
+        : 'Debugger off - back to real time', 'info');
+}
+
+// Debugger: let virtual time run, or pause it
+function debugRun() {
+    const debug = state.debug;
+    if (!debug) return;
+
+    if (debug.clock.paused) {
+        debugCatchUp();
+        debug.clock.play();
+    } else {
+        debug.clock.pause();
+    }
+    showDebugger();
+}
+
+// Debugger: show the next event - one already recorded if the view is behind, otherwise
+// move virtual time timer by timer until the protocol records a new one
+async function debugStep() {
+    const debug = state.debug;
+    if (!debug || debug.stepping) return;
+
+    debug.clock.pause();
+    if (debug.cursor < state.session.events.length) {
+        renderHistory(debug.cursor + 1);
+        showDebugger();
+        return;
+    }
+
+    debug.hold = false;
+    debug.stepping = true;
+    try {
+        const count = state.session.events.length;
+        for (let steps = 0; steps < 1000 && state.session.events.length === count; steps++) {
+            if (!await debug.clock.step()) {
+                addLog('Nothing pending - send a packet or start Auto Send', 'warning');
+                break;
+            }
+        }
+    } finally {
+        debug.stepping = false;
+    }
+    showDebugger();
+}
+
+// Debugger: go back one event (the protocol itself stays where it is)
+function debugStepBack() {
+    const debug = state.debug;
+    if (!debug || debug.cursor === 0) return;
+
+    debug.clock.pause();
+    renderHistory(debug.cursor - 1);
+    showDebugger();
+}
+
+// Debugger: show every event recorded so far and follow new ones again
+// Called before anything that makes the protocol move: Run, Send, Auto Send, file transfer
+function debugCatchUp() {
+    const debug = state.debug;
+    if (!debug) return;
+
+    renderHistory(state.session.events.length);
+    debug.hold = false;
+}
+
+// Debugger: show the page as it was after the first `count` events
+// Going forward applies the next events; going back rebuilds the page without animations
+function renderHistory(count) {
+    const debug = state.debug;
+
+    if (count < debug.cursor) {
+        state.flights.clear();
+        state.metrics = createMetrics();
+        resetView();
+        state.session.events.slice(0, count).forEach(event => applyEvent(event, Infinity));
+    } else {
+        state.session.events.slice(debug.cursor, count).forEach(event => applyEvent(event));
+    }
+    debug.cursor = count;
+}
+
+// Debugger: called for every new event; `shown` says whether it was applied to the page
+// A step or a breakpoint holds the view on its event, so the events the same timer
+// goes on to record wait in the history for the next Step
+function debugRecorded(event, shown) {
+    const debug = state.debug;
+    debug.snapshots.push(debug.clock.pending());
+    if (!shown) return;
+
+    debug.cursor = state.session.events.length;
+    if (debug.stepping) debug.hold = true;
+
+    const kind = event.type === 'arrival' ? event.outcome : event.type;
+    const breakpoint = document.querySelector(`#debugBreakpoints input[value="${kind}"]`);
+    if (breakpoint && breakpoint.checked && !debug.clock.paused) {
+        debug.clock.pause();
+        debug.hold = true;
+        addLog(`Breakpoint: ${kind} at t=${(event.t / 1000).toFixed(3)}s`, 'warning');
+    }
+    showDebugger();
+}
+
+// Debugger: speed from the log-scale slider, 10^-1 (0.1x) to 10^1 (10x)
+function readDebugSpeed() {
+    return Math.pow(10, parseFloat(document.getElementById('debugSpeed').value));
+}
+
+// Debugger: apply a new speed to the clock
+function setDebugSpeed() {
+    const speed = readDebugSpeed();
+    document.getElementById('debugSpeedValue').textContent = `${Number(speed.toPrecision(2))}x`;
+    if (state.debug) state.debug.clock.setSpeed(speed);
+}
+
+// Debugger: show virtual time, position, pending timers and packets in flight
+// When stepping back, the lists show the moment of the event on screen
+function showDebugger() {
+    const debug = state.debug;
+    if (!debug) return;
+
+    const events = state.session.events;
+    const atHead = debug.cursor === events.length;
+    const current = events[debug.cursor - 1];
+    const startedAt = state.session.startedAt ?? debug.clock.now();
+    const now = atHead ? debug.clock.now() : startedAt + current.t;
+
+    document.getElementById('debugTime').textContent = `t=${((now - startedAt) / 1000).toFixed(3)}s`;
+    document.getElementById('debugPosition').textContent = atHead
+        ? `${events.length} (latest)`
+        : `${debug.cursor} of ${events.length}`;
+    document.getElementById('debugRunBtn').textContent = debug.clock.paused ? '▶ Run' : '❚❚ Pause';
+    document.getElementById('debugBackBtn').disabled = debug.cursor === 0;
+
+    // Protocol timers; the Pipe's packet delays are covered by the flights below
+    const pending = atHead ? debug.clock.pending() : debug.snapshots[debug.cursor - 1] || [];
+    const timers = pending.filter(timer => timer.kind === 'timer');
+    fillDebugList('debugTimers', timers.map(timer =>
+        `${timer.label || `Timer ${timer.id}`} — in ${((timer.at - now) / 1000).toFixed(3)}s`
+    ), 'No pending timers');
+
+    // Flights sent but not yet arrived (or lost) at this point
+    const flights = new Map();
+    events.slice(0, debug.cursor).forEach((event) => {
+        if (event.type === 'transmit' || event.type === 'respond') {
+            flights.set(event.flight, event);
+        } else if (event.type === 'arrival') {
+            flights.delete(event.flight);
+        }
+    });
+    fillDebugList('debugFlights', [...flights.values()].map(event =>
+        `${event.label}${event.retransmission ? ' (retx)' : ''} — sent t=${(event.t / 1000).toFixed(3)}s`
+    ), 'Nothing in flight');
+}
+
+// Debugger: replace a list's items, or show a placeholder if there are none
+function fillDebugList(id, items, placeholder) {
+    const list = document.getElementById(id);
+    list.innerHTML = '';
+    (items.length > 0 ? items : [placeholder]).forEach((text) => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        if (items.length === 0) item.className = 'debug-empty';
+        list.appendChild(item);
+    });
+}
+
+// Exercise: start exercise mode, or finish it and show the score per topic
+// The protocol runs on a VirtualClock in real time, so it can stop while a question is open
+function toggleExercise() {
+    const exerciseBtn = document.getElementById('exerciseBtn');
+
+    if (state.exercise) {
+        const quiz = state.exercise.quiz;
+        state.exercise.clock.pause();
+        state.exercise = null;
+        resetSimulation();
+
+        exerciseBtn.textContent = '🎓 Start Exercise';
+        showExerciseSummary(quiz);
+        const score = quiz.getScore();
+        addLog(`Exercise finished: ${score.correct} of ${score.asked} predictions correct`, 'success');
+        return;
+    }
+
+    if (state.replay) {
+        addLog('A replay is running - stop it to start an exercise', 'warning');
+        return;
+    }
+
+    if (state.debug) {
+        addLog('Turn off the debugger to start an exercise', 'warning');
+        return;
+    }
+
+    state.exercise = { quiz: new PredictionExercise(), clock: new VirtualClock(), queue: [], resuming: false };
+    resetSimulation();
+
+    exerciseBtn.textContent = '■ Finish Exercise';
+    document.getElementById('exerciseSummary').hidden = true;
+    document.getElementById('exerciseFeedback').hidden = true;
+    showExerciseScore();
+    addLog('Exercise started - send a packet and predict each step', 'info');
+}
+
+// Exercise: hold a protocol step and ask the learner what it will do
+// Returns true if the step has to wait; answerPrediction() runs it through `proceed`
+function askPrediction(point, context, proceed) {
+    const exercise = state.exercise;
+    if (!exercise || exercise.resuming) return false;
+
+    exercise.clock.pause();
+    exercise.queue.push({ question: exercise.quiz.ask(point, context), proceed: proceed });
+    if (exercise.queue.length === 1) showQuestion();
+    return true;
+}
+
+// Exercise: run the held step, check the learner's choice against the events it recorded, and go on
+function answerPrediction(index) {
+    const exercise = state.exercise;
+    if (!exercise || exercise.queue.length === 0) return;
+
+    const { question, proceed } = exercise.queue.shift();
+    const choice = question.options[index];
+    const first = state.session.events.length;
+
+    exercise.resuming = true;
+    try {
+        proceed();
+    } finally {
+        exercise.resuming = false;
+    }
+
+    const result = exercise.quiz.grade(question, choice, state.session.events.slice(first));
+    showPredictionResult(choice, result);
+    showExerciseScore();
+
+    // A duplicated packet can leave a second question waiting
+    showQuestion();
+    if (exercise.queue.length === 0) exercise.clock.play();
+}
+
+// Exercise: show the open question, or hide the card if there is none
+function showQuestion() {
+    const card = document.getElementById('exerciseQuestion');
+    const entry = state.exercise && state.exercise.queue[0];
+    card.hidden = !entry;
+    if (!entry) return;
+
+    const question = entry.question;
+    document.getElementById('exerciseTopic').textContent = question.topic;
+    document.getElementById('exerciseDetail').textContent = question.detail;
+    document.getElementById('exercisePrompt').textContent = question.prompt;
+
+    const options = document.getElementById('exerciseOptions');
+    options.innerHTML = '';
+    question.options.forEach((option, index) => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-session';
+        button.textContent = option;
+        button.onclick = () => answerPrediction(index);
+        options.appendChild(button);
+    });
+}
+
+// Exercise: tell the learner whether the prediction was right, and why
+function showPredictionResult(choice, result) {
+    const feedback = document.getElementById('exerciseFeedback');
+    feedback.hidden = false;
+
+    if (!result) {
+        feedback.className = 'exercise-feedback';
+        feedback.textContent = 'The step did not settle this question, so it is not scored.';
+        return;
+    }
+
+    feedback.className = `exercise-feedback ${result.correct ? 'exercise-correct' : 'exercise-wrong'}`;
+    feedback.textContent = result.correct
+        ? `✓ Correct: ${result.answer}. ${result.reason}`
+        : `✗ You said ${choice}, but it is ${result.answer}. ${result.reason}`;
+    addLog(`Prediction ${result.correct ? 'correct' : 'wrong'}: ${result.answer}`, result.correct ? 'success' : 'error');
+}
+
+// Exercise: show the running score
+function showExerciseScore() {
+    const score = state.exercise.quiz.getScore();
+    document.getElementById('exerciseScore').textContent = score.asked === 0
+        ? 'No predictions yet'
+        : `${score.correct} of ${score.asked} correct`;
+}
+
+// Exercise: fill the per-topic table once the exercise is finished
+function showExerciseSummary(quiz) {
+    const tbody = document.querySelector('#exerciseSummary tbody');
+    tbody.innerHTML = '';
+
+    const score = quiz.getScore();
+    const rows = [
+        ...quiz.getSummary(),
+        { topic: 'All topics', asked: score.asked, correct: score.correct }
+    ];
+    rows.forEach((result) => {
+        const row = document.createElement('tr');
+        [
+            result.topic,
+            `${result.correct} / ${result.asked}`,
+            result.asked > 0 ? `${Math.round((result.correct / result.asked) * 100)}%` : '—'
+        ].forEach((value) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+
+    document.getElementById('exerciseScore').textContent = `${score.correct} of ${score.asked} correct`;
+    document.getElementById('exerciseSummary').hidden = false;
+}
+
+// Draw the state machines in their initial states, and fill in the scenario list
+showStates(describeStates());
+listScenarios();
+selectScenario();
+setDebugSpeed();